@@ -0,0 +1,158 @@
+/**
+ * Non-destructive image adjustments (tone, color, blur/sharpen, vignette, duotone).
+ */
+
+import { createCanvas } from './canvas.js';
+
+// Neutral values: a layer whose adjustments equal these is drawn untouched.
+// Layers hold a frozen copy and replace it on every change, so history can diff it by reference
+export const ADJUSTMENT_DEFAULTS = Object.freeze({
+    brightness: 0, // -100..100
+    contrast: 0, // -100..100
+    saturation: 0, // -100..100
+    exposure: 0, // stops, -2..2
+    temperature: 0, // -100 (cool) .. 100 (warm)
+    tint: 0, // -100 (green) .. 100 (magenta)
+    hue: 0, // degrees, -180..180
+    blur: 0, // radius in image px
+    sharpen: 0, // 0..100
+    vignette: 0, // 0..100
+    grayscale: 0, // 0..100
+    duotone: false,
+    duotoneDark: '#0b3d2e',
+    duotoneLight: '#00ff9d'
+});
+
+export const ADJUSTMENT_PRESETS = {
+    'original': { label: 'Original', values: {} },
+    'eco-verde': { label: 'Eco Verde', values: { saturation: 15, contrast: 10, temperature: -10, tint: -25, vignette: 25 } },
+    'calido': { label: 'Cálido', values: { temperature: 35, exposure: 0.1, saturation: 10, contrast: 5, vignette: 15 } },
+    'byn': { label: 'Blanco y negro', values: { grayscale: 100, contrast: 20 } },
+    'duotono': { label: 'Duotono de marca', values: { duotone: true, contrast: 10 } }
+};
+
+export function isNeutralAdjustment(adj) {
+    return Object.keys(ADJUSTMENT_DEFAULTS).every(key => adj[key] === ADJUSTMENT_DEFAULTS[key]);
+}
+
+// Three box-blur passes approximate a gaussian; works in place on premultiplied RGBA
+export function blurPixels(data, w, h, radius) {
+    const r = Math.max(1, Math.round(radius));
+    const tmp = new Float32Array(data.length);
+    const pass = (src, dst, len, count, step, lineStep) => {
+        for (let line = 0; line < count; line++) {
+            const base = line * lineStep;
+            for (let c = 0; c < 4; c++) {
+                let sum = 0;
+                for (let i = -r; i <= r; i++) sum += src[base + Math.min(len - 1, Math.max(0, i)) * step + c];
+                for (let i = 0; i < len; i++) {
+                    dst[base + i * step + c] = sum / (r * 2 + 1);
+                    sum += src[base + Math.min(len - 1, i + r + 1) * step + c] - src[base + Math.max(0, i - r) * step + c];
+                }
+            }
+        }
+    };
+    for (let i = 0; i < 3; i++) {
+        pass(data, tmp, w, h, 4, w * 4); // Horizontal
+        pass(tmp, data, h, w, w * 4, 4); // Vertical
+    }
+}
+
+export function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Renders `source` with the adjustment stack into a new canvas of the same size.
+// Order: blur/sharpen on the pixels, then tone and color, then vignette
+export function renderAdjusted(source, adj) {
+    const w = source.width;
+    const h = source.height;
+    const out = createCanvas();
+    out.width = w;
+    out.height = h;
+    const outCtx = out.getContext('2d');
+    outCtx.drawImage(source, 0, 0);
+    if (!w || !h) return out;
+
+    const imageData = outCtx.getImageData(0, 0, w, h);
+    const px = imageData.data;
+    const data = new Float32Array(px.length);
+    for (let i = 0; i < px.length; i += 4) {
+        const a = px[i + 3] / 255; // Premultiply so transparent pixels don't bleed dark edges
+        data[i] = px[i] * a; data[i + 1] = px[i + 1] * a; data[i + 2] = px[i + 2] * a; data[i + 3] = px[i + 3];
+    }
+
+    if (adj.blur > 0) blurPixels(data, w, h, adj.blur);
+    if (adj.sharpen > 0) {
+        const soft = data.slice();
+        blurPixels(soft, w, h, 1);
+        const amount = adj.sharpen / 50;
+        for (let i = 0; i < data.length; i++) {
+            if ((i & 3) !== 3) data[i] += (data[i] - soft[i]) * amount;
+        }
+    }
+
+    const exposure = Math.pow(2, adj.exposure);
+    const brightness = adj.brightness * 1.28;
+    const contrast = Math.pow((adj.contrast + 100) / 100, 2);
+    const saturation = 1 + adj.saturation / 100;
+    const warm = adj.temperature * 0.3;
+    const tint = adj.tint * 0.3;
+    const gray = adj.grayscale / 100;
+    const vignette = adj.vignette / 100;
+    const dark = hexToRgb(adj.duotoneDark);
+    const light = hexToRgb(adj.duotoneLight);
+
+    // Hue rotation matrix (same as CSS hue-rotate)
+    const angle = adj.hue * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const m = [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = (y * w + x) * 4;
+            const alpha = data[i + 3];
+            if (alpha === 0) { px[i + 3] = 0; continue; }
+            const a = alpha / 255;
+            let r = data[i] / a, g = data[i + 1] / a, b = data[i + 2] / a;
+
+            r = r * exposure + brightness; g = g * exposure + brightness; b = b * exposure + brightness;
+            r = (r - 128) * contrast + 128; g = (g - 128) * contrast + 128; b = (b - 128) * contrast + 128;
+            r += warm + tint * 0.5; g -= tint; b += tint * 0.5 - warm;
+
+            if (adj.hue !== 0) {
+                const hr = r * m[0] + g * m[1] + b * m[2];
+                const hg = r * m[3] + g * m[4] + b * m[5];
+                b = r * m[6] + g * m[7] + b * m[8];
+                r = hr; g = hg;
+            }
+
+            const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            r = lum + (r - lum) * saturation; g = lum + (g - lum) * saturation; b = lum + (b - lum) * saturation;
+            if (gray > 0) {
+                r += (lum - r) * gray; g += (lum - g) * gray; b += (lum - b) * gray;
+            }
+            if (adj.duotone) {
+                const t = Math.min(1, Math.max(0, lum / 255));
+                r = dark[0] + (light[0] - dark[0]) * t;
+                g = dark[1] + (light[1] - dark[1]) * t;
+                b = dark[2] + (light[2] - dark[2]) * t;
+            }
+            if (vignette > 0) {
+                const dx = (x - w / 2) / (w / 2);
+                const dy = (y - h / 2) / (h / 2);
+                const f = Math.max(0, 1 - vignette * Math.min(1, (dx * dx + dy * dy) / 2) * 1.5);
+                r *= f; g *= f; b *= f;
+            }
+
+            px[i] = r; px[i + 1] = g; px[i + 2] = b; px[i + 3] = alpha; // Uint8Clamped rounds and clamps
+        }
+    }
+    outCtx.putImageData(imageData, 0, 0);
+    return out;
+}
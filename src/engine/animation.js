@@ -0,0 +1,117 @@
+/**
+ * Layer animation: keyframes plus entrance/exit presets over a document duration.
+ * Layers keep drawing themselves with draw(ctx); drawLayerAt() sets the animated
+ * props on the layer for the call, so every layer type animates the same way.
+ */
+
+export const ANIMATION_PRESETS = {
+    none: 'Ninguna',
+    fade: 'Fundido',
+    'slide-left': 'Deslizar por la izquierda',
+    'slide-right': 'Deslizar por la derecha',
+    'slide-up': 'Deslizar por abajo',
+    'slide-down': 'Deslizar por arriba',
+    scale: 'Escalar',
+    typewriter: 'Máquina de escribir' // Text layers; other layers fade
+};
+
+// Layer props a keyframe records
+export const KEYFRAME_PROPS = ['x', 'y', 'scale', 'rotation', 'opacity'];
+
+// start/end in seconds (end null = until the end of the clip); keyframes sorted by time:
+// [{ time, x, y, scale, rotation, opacity }]. Replaced, never mutated (history compares by reference)
+export const ANIMATION_DEFAULTS = Object.freeze({
+    enter: 'none',
+    exit: 'none',
+    enterDuration: 0.6,
+    exitDuration: 0.6,
+    start: 0,
+    end: null,
+    keyframes: Object.freeze([])
+});
+
+// Preset slides travel this fraction of the slide size
+const SLIDE_DISTANCE = 0.3;
+
+export function freezeAnimation(animation) {
+    const keyframes = (animation.keyframes || [])
+        .map(k => Object.freeze({ ...k }))
+        .sort((a, b) => a.time - b.time);
+    return Object.freeze({ ...ANIMATION_DEFAULTS, ...animation, keyframes: Object.freeze(keyframes) });
+}
+
+export function isAnimated(animation) {
+    return animation.enter !== 'none' || animation.exit !== 'none' || animation.keyframes.length > 0
+        || animation.start > 0 || animation.end !== null;
+}
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+const clamp01 = (t) => Math.min(1, Math.max(0, t));
+
+// p: 0 = fully out, 1 = in place
+function applyPreset(state, preset, p, layer, composition) {
+    if (p >= 1 || preset === 'none') return;
+    const dx = composition.width * SLIDE_DISTANCE * (1 - p);
+    const dy = composition.height * SLIDE_DISTANCE * (1 - p);
+    switch (preset) {
+        case 'slide-left': state.x -= dx; break;
+        case 'slide-right': state.x += dx; break;
+        case 'slide-up': state.y += dy; break;
+        case 'slide-down': state.y -= dy; break;
+        case 'scale': state.scale *= 0.3 + 0.7 * p; break;
+        case 'typewriter':
+            if (layer.type === 'text') {
+                state.reveal = Math.min(state.reveal ?? 1, p);
+                return;
+            }
+            break;
+    }
+    state.opacity *= p;
+}
+
+// Props of `layer` at `time` seconds: keyframes interpolated, then the presets applied.
+// -> { x, y, scale, rotation, opacity, reveal } with reveal (0..1, text) or null,
+// or null when the layer is off screen at that time
+export function layerStateAt(layer, time, composition) {
+    const animation = layer.animation || ANIMATION_DEFAULTS;
+    const end = animation.end ?? composition.duration;
+    if (time < animation.start || time > end) return null;
+
+    const state = { x: layer.x, y: layer.y, scale: layer.scale, rotation: layer.rotation, opacity: Number(layer.opacity), reveal: null };
+    const keyframes = animation.keyframes;
+    if (keyframes.length) {
+        const next = keyframes.findIndex(k => k.time > time);
+        const a = keyframes[next === -1 ? keyframes.length - 1 : Math.max(0, next - 1)];
+        const b = keyframes[next === -1 ? keyframes.length - 1 : next];
+        const t = b.time > a.time ? easeInOut(clamp01((time - a.time) / (b.time - a.time))) : 0;
+        KEYFRAME_PROPS.forEach(prop => {
+            if (prop in a && prop in b) state[prop] = a[prop] + (b[prop] - a[prop]) * t;
+        });
+    }
+
+    if (animation.enter !== 'none' && animation.enterDuration > 0) {
+        applyPreset(state, animation.enter, easeInOut(clamp01((time - animation.start) / animation.enterDuration)), layer, composition);
+    }
+    if (animation.exit !== 'none' && animation.exitDuration > 0) {
+        applyPreset(state, animation.exit, easeInOut(clamp01((end - time) / animation.exitDuration)), layer, composition);
+    }
+    return state;
+}
+
+// Draws `layer` as it is at `time` through its own draw(ctx), restoring its props afterwards
+export function drawLayerAt(ctx, layer, time, composition) {
+    const state = layerStateAt(layer, time, composition);
+    if (!state || state.opacity <= 0) return;
+    const saved = {};
+    KEYFRAME_PROPS.forEach(prop => {
+        saved[prop] = layer[prop];
+        layer[prop] = state[prop];
+    });
+    if (state.reveal !== null) layer.reveal = Math.round(state.reveal * layer.countGraphemes());
+    try {
+        layer.draw(ctx);
+    } finally {
+        Object.assign(layer, saved);
+        if (state.reveal !== null) layer.reveal = null;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Batch rendering: one design applied to many photos. The design's variable slot is an
+ * image placeholder layer; each photo fills its frame with its own crop, keeping the
+ * slot's transform, opacity, blend mode, adjustments and mask.
+ */
+
+import { createCanvas } from './canvas.js';
+import { isNeutralAdjustment, renderAdjusted } from './adjustments.js';
+import { drawCover, renderComposition } from './render.js';
+
+// Per-photo crop inside the slot frame, same meaning as the background photo framing
+export const BATCH_CROP_DEFAULTS = Object.freeze({ zoom: 1, offsetX: 0, offsetY: 0 });
+
+// Tokens accepted by batch file name patterns
+export const BATCH_NAME_TOKENS = {
+    '{n}': 'Número de la foto (01, 02...)',
+    '{nombre}': 'Nombre del archivo original',
+    '{diapositiva}': 'Número de diapositiva',
+    '{fecha}': 'Fecha de hoy (AAAA-MM-DD)'
+};
+
+// The layer that receives each photo: the first image placeholder, bottom to top
+export function findVariableSlot(layers) {
+    return layers.find(l => l.type === 'image' && l.placeholder === 'image') || null;
+}
+
+// Slot frame filled with `photo` at `scale` (1 = slide px), cropped and masked like the slot
+export function renderSlotPhoto(slot, photo, crop = BATCH_CROP_DEFAULTS, scale = 1) {
+    const w = Math.max(1, Math.round(slot.width * slot.scale * scale));
+    const h = Math.max(1, Math.round(slot.height * slot.scale * scale));
+    let out = createCanvas(w, h);
+    drawCover(out.getContext('2d'), photo, 0, 0, w, h, crop);
+    if (!isNeutralAdjustment(slot.adjustments)) out = renderAdjusted(out, slot.adjustments);
+    if (slot.mask) {
+        const ctx = out.getContext('2d');
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(slot.mask, 0, 0, w, h);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    return out;
+}
+
+// Copy of `composition` with `slot` swapped for a stand-in that draws `photo`.
+// The design itself is not touched, so previews can be rendered while it is open
+export function compositionWithPhoto(composition, slot, photo, crop = BATCH_CROP_DEFAULTS, scale = 1) {
+    const frame = renderSlotPhoto(slot, photo, crop, scale);
+    const standIn = {
+        visible: slot.visible,
+        blendMode: slot.blendMode,
+        draw(ctx) {
+            const w = slot.width * slot.scale;
+            const h = slot.height * slot.scale;
+            ctx.save();
+            ctx.translate(slot.x, slot.y);
+            ctx.rotate(slot.rotation);
+            ctx.globalAlpha = slot.opacity;
+            ctx.drawImage(frame, -w / 2, -h / 2, w, h);
+            ctx.restore();
+        }
+    };
+    return { ...composition, layers: composition.layers.map(l => (l === slot ? standIn : l)) };
+}
+
+// One slide of the design with `photo` in the slot, `scale` 1 = export size
+export function renderBatchItem(composition, slot, photo, crop = BATCH_CROP_DEFAULTS, index = 0, scale = 1) {
+    return renderComposition(compositionWithPhoto(composition, slot, photo, crop, scale), index, scale);
+}
+
+// File name (without extension) from a pattern such as 'campaña-{n}-{nombre}'.
+// values: { n, total, name, slide, date }; `fields` adds tokens, e.g. a data row's
+// columns as {titulo}. Characters not allowed in file names become '-'
+export function formatBatchName(pattern, { n, total, name = '', slide, date = new Date() }, fields = {}) {
+    const pad = (value, count) => String(value).padStart(String(count).length, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1, 10)}-${pad(date.getDate(), 10)}`;
+    const result = pattern
+        .replaceAll('{n}', pad(n, Math.max(total, 10)))
+        .replaceAll('{nombre}', name.replace(/\.[^.]+$/, ''))
+        .replaceAll('{diapositiva}', pad(slide, 10))
+        .replaceAll('{fecha}', day)
+        .replace(/\{([^{}]+)\}/g, (token, key) => (key in fields ? fields[key] : token))
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+        .trim();
+    return result || pad(n, Math.max(total, 10));
+}
@@ -0,0 +1,59 @@
+/**
+ * Canvas backend of the engine.
+ * Layers and renderers never touch `document` directly: they get their scratch canvases,
+ * decoded images and font set from here, so the engine also runs in workers (OffscreenCanvas)
+ * and in Node with a canvas shim (see configureCanvas).
+ */
+
+const backend = {
+    createCanvas: (width, height) => {
+        if (typeof document !== 'undefined') {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        }
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        throw new Error('No canvas backend: call configureCanvas({ createCanvas }) first.');
+    },
+    loadImage: (url) => new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Imagen dañada en el proyecto.'));
+        img.src = url;
+    }),
+    fonts: () => (typeof document !== 'undefined' ? document.fonts : globalThis.fonts) || null
+};
+
+// Overrides parts of the backend, e.g. for Node:
+// configureCanvas({ createCanvas: (w, h) => shim.createCanvas(w, h), loadImage: shim.loadImage })
+export function configureCanvas(overrides) {
+    Object.assign(backend, overrides);
+}
+
+export function createCanvas(width = 1, height = 1) {
+    return backend.createCanvas(width, height);
+}
+
+// Decodes an image URL (data URLs included) into something drawImage accepts
+export function loadImageFromURL(url) {
+    return backend.loadImage(url);
+}
+
+// FontFaceSet used to wait for web fonts, or null when the backend has none (headless)
+export function getFontSet() {
+    return backend.fonts();
+}
+
+// Duck-typed so shims without a global ImageData also work
+export function isImageData(source) {
+    return source.data instanceof Uint8ClampedArray && typeof source.getContext !== 'function';
+}
+
+// Encodes a canvas element or OffscreenCanvas as a Blob
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+    if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type, quality });
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('No se pudo codificar la imagen.'))), type, quality);
+    });
+}
@@ -0,0 +1,73 @@
+/**
+ * Post captions: Instagram's limits, hashtag and mention extraction, clipboard text that
+ * keeps blank lines, and the sidecar file (.txt or .json) exported next to the images.
+ */
+
+export const CAPTION_LIMITS = { chars: 2200, hashtags: 30, mentions: 20 };
+
+// Caption of a design. Replaced, never mutated
+export const CAPTION_DEFAULTS = Object.freeze({ text: '', altText: '' });
+
+// Sidecar formats offered in the export dialog
+export const CAPTION_SIDECARS = {
+    none: 'Sin texto',
+    txt: 'Texto (.txt)',
+    json: 'Datos (.json)'
+};
+
+// A tag starts after a non-word character; usernames may hold dots but not end with one
+const CAPTION_TOKEN = /((?<![\p{L}\p{N}_])#[\p{L}\p{N}_]+|(?<![\p{L}\p{N}_.])@[\p{L}\p{N}_.]*[\p{L}\p{N}_])/u;
+
+// -> [{ text, kind: 'text' | 'hashtag' | 'mention' }], for highlighting
+export function captionTokens(text) {
+    // split() with a capture group puts the matches at the odd indexes
+    return text.split(CAPTION_TOKEN)
+        .map((part, i) => ({ text: part, kind: i % 2 === 0 ? 'text' : part[0] === '#' ? 'hashtag' : 'mention' }))
+        .filter(token => token.text);
+}
+
+// -> { length, hashtags, mentions, over: { chars, hashtags, mentions } }. Instagram counts
+// code points, so an emoji made of several counts several times
+export function analyzeCaption(text) {
+    const tokens = captionTokens(text);
+    const hashtags = tokens.filter(t => t.kind === 'hashtag').map(t => t.text);
+    const mentions = tokens.filter(t => t.kind === 'mention').map(t => t.text);
+    const length = [...text].length;
+    return {
+        length,
+        hashtags,
+        mentions,
+        over: {
+            chars: length > CAPTION_LIMITS.chars,
+            hashtags: hashtags.length > CAPTION_LIMITS.hashtags,
+            mentions: mentions.length > CAPTION_LIMITS.mentions
+        }
+    };
+}
+
+// Instagram drops empty lines and trailing spaces when posting; an invisible braille
+// blank (U+2800) on each empty line keeps the paragraphs apart
+export function captionForClipboard(text) {
+    return text.replace(/\r\n?/g, '\n').trim().split('\n')
+        .map(line => line.trimEnd() || '⠀')
+        .join('\n');
+}
+
+// Replaces {column} tokens with the values of `fields` (data rows); unknown tokens stay
+export function fillCaption(text, fields = {}) {
+    return text.replace(/\{([^{}]+)\}/g, (token, key) => (key in fields ? fields[key] : token));
+}
+
+// Sidecar of a post -> Blob, or null for 'none'. `images` are the exported file names
+export function captionSidecar({ text, altText }, format, images = []) {
+    if (format === 'txt') {
+        const alt = altText.trim() ? `\n\n---\nTexto alternativo: ${altText.trim()}` : '';
+        return new Blob([text.trim() + alt + '\n'], { type: 'text/plain;charset=utf-8' });
+    }
+    if (format === 'json') {
+        const { hashtags, mentions } = analyzeCaption(text);
+        const data = { caption: text.trim(), altText: altText.trim(), hashtags, mentions, images };
+        return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    }
+    return null;
+}
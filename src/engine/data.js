@@ -0,0 +1,89 @@
+/**
+ * Data-driven posts (mail merge): rows of a CSV or JSON file fill the layers bound to
+ * their columns. Text layers get the cell text, image layers the photo the cell names.
+ */
+
+import { layerFromData } from './document.js';
+import { compositionWithPhoto } from './batch.js';
+
+// Splits CSV text into rows of cells (RFC 4180 quoting). The delimiter is guessed from
+// the first line: spreadsheets in Spanish locales save with ';'
+export function parseCSV(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.slice(0, source.search(/\r?\n|$/));
+    const delimiter = [';', '\t', ','].reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// { columns, rows } from a .csv (first row = column names) or a .json file holding an
+// array of objects (or { rows: [...] }). Every value becomes a string
+export function parseDataFile(text, fileName = '') {
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+        const json = JSON.parse(text);
+        const records = Array.isArray(json) ? json : json && Array.isArray(json.rows) ? json.rows : null;
+        if (!records || records.some(r => !r || typeof r !== 'object')) {
+            throw new Error('El JSON debe ser una lista de objetos, una fila por publicación.');
+        }
+        const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+        const rows = records.map(r => Object.fromEntries(columns.map(c => [c, r[c] == null ? '' : String(r[c])])));
+        return { columns, rows };
+    }
+
+    const [header, ...body] = parseCSV(text);
+    if (!header) throw new Error('El archivo no tiene filas.');
+    const columns = header.map((name, i) => name.trim() || `Columna ${i + 1}`);
+    const rows = body.map(cells => Object.fromEntries(columns.map((c, i) => [c, cells[i] ?? ''])));
+    return { columns, rows };
+}
+
+// Copy of `composition` with the bound layers filled from `row`. `photos` maps a cell
+// value to a decoded image; cells without a photo, and columns the row lacks, keep the design.
+// `scale` is the render scale the photos are prepared for (see renderSlotPhoto)
+export function compositionForRow(composition, row, photos = new Map(), scale = 1) {
+    let result = {
+        ...composition,
+        layers: composition.layers.map(layer => {
+            if (layer.type !== 'text' || !layer.binding || !(layer.binding in row)) return layer;
+            const filled = layerFromData({ ...layer.serialize(), text: row[layer.binding] });
+            if (filled.autoFit) filled.fitText();
+            else filled.measureDimensions();
+            return filled;
+        })
+    };
+    composition.layers.forEach(layer => {
+        if (layer.type !== 'image' || !layer.binding) return;
+        const photo = photos.get(row[layer.binding]);
+        if (photo) result = compositionWithPhoto(result, layer, photo, undefined, scale);
+    });
+    return result;
+}
@@ -0,0 +1,117 @@
+/**
+ * Serialization of the document model: layers to/from plain data, project files
+ * (JSON-safe data URLs) and the shallow diff used by the history.
+ */
+
+import { createCanvas, isImageData } from './canvas.js';
+import { ImageLayer } from './image-layer.js';
+import { TextLayer, TEXT_STYLE_DEFAULTS } from './text-layer.js';
+import { ShapeLayer, SHAPE_DEFAULTS } from './shape-layer.js';
+import { SvgLayer } from './svg-layer.js';
+import { ANIMATION_DEFAULTS, freezeAnimation } from './animation.js';
+
+export const PROJECT_VERSION = 1;
+
+// Accepts an Image, Canvas or ImageData and returns a PNG data URL
+export function toDataURL(source) {
+    const canvas = createCanvas();
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const ctx = canvas.getContext('2d');
+    if (isImageData(source)) ctx.putImageData(source, 0, 0);
+    else ctx.drawImage(source, 0, 0);
+    return canvas.toDataURL('image/png');
+}
+
+export function toImageData(img) {
+    const canvas = createCanvas();
+    canvas.width = img.width;
+    canvas.height = img.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+// Builds a layer from serialize() output (projects, drafts, duplicated slides)
+export function layerFromData(data) {
+    let layer;
+    if (data.type === 'image') {
+        layer = new ImageLayer(data.originalImage, data.id);
+        if(data.imageData) {
+            // The edited canvas may be smaller than the original (trim after crop)
+            layer.canvas.width = data.imageData.width;
+            layer.canvas.height = data.imageData.height;
+            layer.ctx.putImageData(data.imageData, 0, 0);
+            layer.resetBaseline();
+        }
+        if (data.maskData) {
+            layer.ensureMask();
+            layer.mask.width = data.maskData.width;
+            layer.mask.height = data.maskData.height;
+            layer.maskCtx.putImageData(data.maskData, 0, 0);
+            layer.resetBaseline();
+        }
+        if (data.sourceRect) layer.sourceRect = data.sourceRect;
+        if (data.adjustments) layer.setAdjustments(data.adjustments);
+    } else if (data.type === 'shape') {
+        layer = new ShapeLayer(data.shape, data.id);
+        for (const key in SHAPE_DEFAULTS) layer[key] = data[key] ?? SHAPE_DEFAULTS[key];
+    } else if (data.type === 'svg') {
+        layer = new SvgLayer(data.svg, data.id, data.image);
+    } else {
+        layer = new TextLayer(data.text, data.id);
+        layer.fontFamily = data.fontFamily;
+        layer.fontSize = data.fontSize;
+        layer.color = data.color;
+        layer.textTransform = data.textTransform || 'none';
+        layer.boxWidth = data.boxWidth || 500;
+        for (const key in TEXT_STYLE_DEFAULTS) layer[key] = data[key] ?? TEXT_STYLE_DEFAULTS[key];
+    }
+    layer.x = data.x;
+    layer.y = data.y;
+    layer.rotation = data.rotation;
+    layer.scale = data.scale;
+    layer.opacity = data.opacity;
+    layer.width = data.width;
+    layer.height = data.height;
+    layer.locked = !!data.locked;
+    layer.placeholder = data.placeholder || null;
+    layer.binding = data.binding || null;
+    layer.name = data.name || null;
+    layer.visible = data.visible !== false;
+    layer.groupId = data.groupId || null;
+    layer.blendMode = data.blendMode || 'source-over';
+    layer.animation = data.animation ? freezeAnimation(data.animation) : ANIMATION_DEFAULTS;
+    return layer;
+}
+
+// serialize() output with pixel data encoded as data URLs (JSON-safe)
+export function layerToProjectData(data) {
+    if (data.type === 'svg') {
+        const { image, ...rest } = data;
+        return rest;
+    }
+    if (data.type !== 'image') return data;
+    const { imageData, originalImage, maskData, ...rest } = data;
+    return {
+        ...rest,
+        originalImage: toDataURL(originalImage),
+        imageData: toDataURL(imageData),
+        maskData: maskData ? toDataURL(maskData) : null
+    };
+}
+
+// Shallow diff: { before, after } holding only the keys whose values differ, or null
+export function diffProps(a, b) {
+    const before = {};
+    const after = {};
+    let changed = false;
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (a[key] !== b[key]) {
+            before[key] = a[key];
+            after[key] = b[key];
+            changed = true;
+        }
+    }
+    return changed ? { before, after } : null;
+}
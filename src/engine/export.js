@@ -0,0 +1,92 @@
+/**
+ * Export pipeline: renders slides off screen at a scale preset, encodes them at a fixed
+ * quality or the best quality under a file size, and embeds optional metadata.
+ */
+
+import { createCanvas, canvasToBlob } from './canvas.js';
+import { renderComposition } from './render.js';
+import { embedMetadata } from './metadata.js';
+
+// Output size presets. `supersample` renders that many times larger and reduces the
+// result, which smooths thin text and shape edges; `longSide` fixes the longest side in px
+export const EXPORT_SCALES = {
+    '1x': { label: '1x (tamaño del diseño)' },
+    '2x': { label: '2x suavizado (supermuestreo)', supersample: 2 },
+    '1440': { label: '1440 px en el lado largo', longSide: 1440 }
+};
+
+// Quality range searched in "max file size" mode
+const MIN_QUALITY = 0.05;
+const MAX_QUALITY = 0.95;
+const SEARCH_STEPS = 7;
+
+// Output size of a preset for a width × height slide
+export function exportSize(preset, width, height) {
+    const { longSide } = EXPORT_SCALES[preset] || EXPORT_SCALES['1x'];
+    const scale = longSide ? longSide / Math.max(width, height) : 1;
+    return { scale, width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+// Halves the size step by step with smoothing, then draws at the exact size
+function downsample(source, width, height) {
+    let current = source;
+    while (current.width / 2 >= width && current.height / 2 >= height) {
+        const half = createCanvas(Math.round(current.width / 2), Math.round(current.height / 2));
+        const ctx = half.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(current, 0, 0, half.width, half.height);
+        current = half;
+    }
+    if (current.width === width && current.height === height) return current;
+    const out = createCanvas(width, height);
+    const ctx = out.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, 0, 0, width, height);
+    return out;
+}
+
+// Slide `index` rendered on a new canvas for `preset`. `prepare(composition, scale)` may
+// return a variant of the composition for the render scale (batch photos, data rows)
+export function renderForExport(composition, index = 0, preset = '1x', prepare = (c) => c) {
+    const { supersample = 1 } = EXPORT_SCALES[preset] || EXPORT_SCALES['1x'];
+    const { scale, width, height } = exportSize(preset, composition.width, composition.height);
+    const renderScale = scale * supersample;
+    const canvas = renderComposition(prepare(composition, renderScale), index, renderScale);
+    return supersample > 1 ? downsample(canvas, width, height) : canvas;
+}
+
+// Encodes a rendered slide -> { blob, quality, fits }.
+// options: { type, quality, maxBytes, metadata }. With maxBytes (JPEG and WebP only) the
+// highest quality whose file fits is searched for; `fits` is false when even the lowest is too big
+export async function encodeExport(canvas, { type = 'image/png', quality = 0.9, maxBytes = 0, metadata = null } = {}) {
+    const lossy = type !== 'image/png';
+    const encode = async (q) => {
+        const blob = await canvasToBlob(canvas, type, lossy ? q : undefined);
+        return metadata ? embedMetadata(blob, metadata) : blob;
+    };
+
+    if (!lossy || !maxBytes) {
+        const blob = await encode(quality);
+        return { blob, quality: lossy ? quality : null, fits: !maxBytes || blob.size <= maxBytes };
+    }
+
+    const top = await encode(MAX_QUALITY);
+    if (top.size <= maxBytes) return { blob: top, quality: MAX_QUALITY, fits: true };
+
+    let best = null;
+    let lo = MIN_QUALITY;
+    let hi = MAX_QUALITY;
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+        const q = Math.round((lo + hi) / 2 * 100) / 100;
+        const blob = await encode(q);
+        if (blob.size <= maxBytes) {
+            best = { blob, quality: q, fits: true };
+            lo = q;
+        } else {
+            hi = q;
+        }
+    }
+    if (best) return best;
+    const blob = await encode(MIN_QUALITY);
+    return { blob, quality: MIN_QUALITY, fits: blob.size <= maxBytes };
+}
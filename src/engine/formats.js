@@ -0,0 +1,86 @@
+/**
+ * Instagram slide formats and the safe-zone geometry drawn over them.
+ */
+
+// Slide sizes in px; 'custom' asks the user for a size
+export const FORMATS = {
+    square: { width: 1080, height: 1080 },
+    portrait: { width: 1080, height: 1350 },
+    story: { width: 1080, height: 1920 },
+    reels: { width: 1080, height: 1920 },
+    landscape: { width: 1080, height: 566 },
+    custom: null
+};
+
+// Instagram carousels hold at most this many slides
+export const MAX_SLIDES = 10;
+
+// The profile grid shows every post and reel cover cropped to a centered tile of this aspect
+export const PROFILE_CROP = { width: 3, height: 4 };
+
+// Overlay geometry for a format, in slide coordinates:
+// covered = areas cropped or hidden by Instagram UI, frames = crop outlines, text = safe area for text
+export function safeZonesFor(format, w, h) {
+    const margin = Math.min(60, Math.round(Math.min(w, h) * 0.1));
+    const inset = (r) => ({ x: r.x + margin, y: r.y + margin, w: r.w - margin * 2, h: r.h - margin * 2 });
+    const profileTile = (label) => {
+        const tileW = Math.min(w, h * PROFILE_CROP.width / PROFILE_CROP.height);
+        const tileH = tileW * PROFILE_CROP.height / PROFILE_CROP.width;
+        return { x: (w - tileW) / 2, y: (h - tileH) / 2, w: tileW, h: tileH, label, color: '#ff0000', lineWidth: 4, dash: [] };
+    };
+    // Strips of the slide around a centered rect
+    const around = (r) => [
+        { x: 0, y: 0, w, h: r.y },
+        { x: 0, y: r.y + r.h, w, h: h - r.y - r.h },
+        { x: 0, y: r.y, w: r.x, h: r.h },
+        { x: r.x + r.w, y: r.y, w: w - r.x - r.w, h: r.h }
+    ].filter(c => c.w >= 1 && c.h >= 1);
+    const profileLabel = `${PROFILE_CROP.width}:${PROFILE_CROP.height}`;
+
+    if (format === 'square') {
+        // If this square was cropped to 4:5 vertical: 1080 * 4/5 = 864, 108px each side
+        const cropW = (w - h * 4 / 5) / 2;
+        return {
+            covered: [{ x: 0, y: 0, w: cropW, h }, { x: w - cropW, y: 0, w: cropW, h }],
+            frames: [{ x: cropW, y: 0, w: w - cropW * 2, h, label: 'VISUALIZACIÓN VERTICAL (4:5)', color: '#00ffff', lineWidth: 2, dash: [5, 5] }],
+            text: inset({ x: 0, y: 0, w, h })
+        };
+    }
+    if (format === 'portrait' || format === 'landscape') {
+        const tile = profileTile(`LÍMITE PERFIL (${profileLabel})`);
+        return {
+            covered: around(tile),
+            frames: [tile],
+            text: format === 'portrait' ? inset(tile) : inset({ x: 0, y: 0, w, h })
+        };
+    }
+    if (format === 'story') {
+        // Progress bar + profile on top, reply box on the bottom (~14% each)
+        const bar = Math.round(h * 0.13);
+        return {
+            covered: [
+                { x: 0, y: 0, w, h: bar, label: 'BARRA SUPERIOR (PERFIL)' },
+                { x: 0, y: h - bar, w, h: bar, label: 'RESPONDER / ENVIAR' }
+            ],
+            frames: [],
+            text: { x: margin, y: bar, w: w - margin * 2, h: h - bar * 2 }
+        };
+    }
+    if (format === 'reels') {
+        // Header on top, caption/audio at the bottom, like/comment/share column on the right
+        const top = Math.round(h * 0.11);
+        const bottom = Math.round(h * 0.35);
+        const buttons = Math.round(w * 0.13);
+        const buttonsTop = Math.round(h * 0.4);
+        return {
+            covered: [
+                { x: 0, y: 0, w, h: top, label: 'CABECERA REELS' },
+                { x: 0, y: h - bottom, w, h: bottom, label: 'PIE DE FOTO Y AUDIO' },
+                { x: w - buttons, y: buttonsTop, w: buttons, h: h - bottom - buttonsTop }
+            ],
+            frames: [profileTile(`PORTADA EN PERFIL (${profileLabel})`)],
+            text: { x: margin, y: top, w: w - margin - buttons, h: h - top - bottom }
+        };
+    }
+    return { covered: [], frames: [], text: inset({ x: 0, y: 0, w, h }) };
+}
@@ -0,0 +1,190 @@
+/**
+ * Animated GIF encoder. Each frame gets its own 256-color palette (median cut over a
+ * 15-bit color histogram) and is LZW-compressed; frames are added one at a time so a
+ * clip never has to be held in memory as pixels.
+ */
+
+const HIST_SIZE = 1 << 15;
+
+// 5 bits per channel histogram bin of an RGBA pixel
+const binOf = (data, i) => ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+
+// -> { palette: Uint8Array(256 * 3), binIndex: Uint8Array(HIST_SIZE) } for an RGBA buffer
+function quantize(data) {
+    const count = new Uint32Array(HIST_SIZE);
+    const sums = new Float64Array(HIST_SIZE * 3);
+    for (let i = 0; i < data.length; i += 4) {
+        const bin = binOf(data, i);
+        count[bin]++;
+        sums[bin * 3] += data[i];
+        sums[bin * 3 + 1] += data[i + 1];
+        sums[bin * 3 + 2] += data[i + 2];
+    }
+    const bins = [];
+    for (let bin = 0; bin < HIST_SIZE; bin++) if (count[bin]) bins.push(bin);
+
+    const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+    const describe = (list) => {
+        let widest = 0;
+        let range = -1;
+        let pixels = 0;
+        for (let c = 0; c < 3; c++) {
+            let min = 31;
+            let max = 0;
+            list.forEach(bin => {
+                const v = channel(bin, c);
+                if (v < min) min = v;
+                if (v > max) max = v;
+            });
+            if (max - min > range) { range = max - min; widest = c; }
+        }
+        list.forEach(bin => { pixels += count[bin]; });
+        return { bins: list, widest, range, pixels };
+    };
+
+    // Median cut: split the box with the most pixels × spread at its pixel median
+    const boxes = [describe(bins)];
+    while (boxes.length < 256) {
+        let pick = -1;
+        let score = 0;
+        boxes.forEach((box, i) => {
+            const s = box.range * box.pixels;
+            if (box.bins.length > 1 && s > score) { score = s; pick = i; }
+        });
+        if (pick === -1) break;
+        const { bins: list, widest } = boxes[pick];
+        list.sort((a, b) => channel(a, widest) - channel(b, widest));
+        const half = boxes[pick].pixels / 2;
+        let acc = 0;
+        let cut = 1;
+        for (; cut < list.length - 1; cut++) {
+            acc += count[list[cut - 1]];
+            if (acc >= half) break;
+        }
+        boxes.splice(pick, 1, describe(list.slice(0, cut)), describe(list.slice(cut)));
+    }
+
+    const palette = new Uint8Array(256 * 3);
+    const binIndex = new Uint8Array(HIST_SIZE);
+    boxes.forEach((box, i) => {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        box.bins.forEach(bin => {
+            r += sums[bin * 3];
+            g += sums[bin * 3 + 1];
+            b += sums[bin * 3 + 2];
+            binIndex[bin] = i;
+        });
+        palette[i * 3] = Math.round(r / box.pixels);
+        palette[i * 3 + 1] = Math.round(g / box.pixels);
+        palette[i * 3 + 2] = Math.round(b / box.pixels);
+    });
+    return { palette, binIndex };
+}
+
+// GIF LZW with 8-bit symbols, packed into 255-byte sub-blocks
+function lzw(indices) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let block = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    const table = new Map();
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) block.push(bits & 0xff);
+    if (block.length) out.push(block.length, ...block);
+    out.push(0);
+    return new Uint8Array(out);
+}
+
+export class GifEncoder {
+    // loop: 0 = forever
+    constructor(width, height, { loop = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+        this.elapsed = 0; // ms, delays are rounded on the running total so the clip keeps its length
+        this.written = 0; // centiseconds already given to frames
+
+        const header = new Uint8Array(13 + 19);
+        const view = new DataView(header.buffer);
+        header.set([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+        view.setUint16(6, width, true);
+        view.setUint16(8, height, true);
+        // No global color table: every frame brings its own
+        header.set([0x21, 0xff, 0x0b, ...new TextEncoder().encode('NETSCAPE2.0'), 0x03, 0x01], 13);
+        view.setUint16(29, loop, true);
+        this.parts.push(header);
+    }
+
+    // RGBA ImageData of width × height, shown for `delay` ms
+    addFrame(imageData, delay) {
+        const { data } = imageData;
+        const { palette, binIndex } = quantize(data);
+        const indices = new Uint8Array(this.width * this.height);
+        for (let p = 0, i = 0; p < indices.length; p++, i += 4) indices[p] = binIndex[binOf(data, i)];
+
+        this.elapsed += delay;
+        const centis = Math.max(2, Math.round(this.elapsed / 10) - this.written);
+        this.written += centis;
+
+        const frame = new Uint8Array(8 + 10 + palette.length + 1);
+        const view = new DataView(frame.buffer);
+        frame.set([0x21, 0xf9, 0x04, 0x04]); // Graphic control: disposal 1 (keep), no transparency
+        view.setUint16(4, centis, true);
+        frame[8] = 0x2c; // Image descriptor at 0, 0 with a 256-color local table
+        view.setUint16(13, this.width, true);
+        view.setUint16(15, this.height, true);
+        frame[17] = 0x87;
+        frame.set(palette, 18);
+        frame[18 + palette.length] = 8; // LZW minimum code size
+        this.parts.push(frame, lzw(indices));
+    }
+
+    finish() {
+        return new Blob([...this.parts, new Uint8Array([0x3b])], { type: 'image/gif' });
+    }
+}
@@ -0,0 +1,653 @@
+/**
+ * Bitmap layer: editable pixels with dirty-rect history patches, a non-destructive
+ * adjustment stack and an alpha mask (eraser, restore brush, background removal).
+ */
+
+import { Layer } from './layer.js';
+import { createCanvas } from './canvas.js';
+import { ADJUSTMENT_DEFAULTS, isNeutralAdjustment, renderAdjusted } from './adjustments.js';
+import { SEGMENT_MAX_SIZE, segmentForeground, resampleAlpha, refineMatte } from './segmentation.js';
+
+export class ImageLayer extends Layer {
+    constructor(img, id, existingCanvas = null) {
+        super('image', id);
+        this.originalImage = img;
+        this.width = img.width;
+        this.height = img.height;
+        
+        this.canvas = createCanvas();
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.ctx = this.canvas.getContext('2d');
+        
+        if (existingCanvas) {
+            this.ctx.drawImage(existingCanvas, 0, 0);
+        } else if(img) {
+            this.ctx.drawImage(img, 0, 0);
+        }
+
+        // Copy of the pixels as of the last history commit, used to build undo patches
+        this.committed = createCanvas();
+        this.committedCtx = this.committed.getContext('2d');
+        this.dirtyRect = null;
+        this.pixelVersion = 0; // Bumped on every pixel change, invalidates the adjusted render
+        this.adjustments = ADJUSTMENT_DEFAULTS;
+        this.adjustedCache = null; // { adjustments, version, canvas }
+
+        // Alpha mask (opaque = visible), created on first use; same size as the canvas
+        this.mask = null;
+        this.maskCtx = null;
+        this.committedMask = null;
+        this.maskVersion = 0;
+        this.maskedCache = null; // { base, baseVersion, maskVersion, canvas }
+        this.stroke = null; // Brush stroke in progress, see beginStroke()
+        // Region of originalImage the canvas shows, for the restore brush (changes on trim and cover fit)
+        this.sourceRect = { x: 0, y: 0, w: img.width, h: img.height };
+        this.resetBaseline();
+    }
+
+    // Canvas to draw: the edited pixels, passed through the adjustment stack and then the mask
+    getRenderCanvas() {
+        let base = this.canvas;
+        if (!isNeutralAdjustment(this.adjustments)) {
+            const cache = this.adjustedCache;
+            if (!cache || cache.adjustments !== this.adjustments || cache.version !== this.pixelVersion) {
+                this.adjustedCache = {
+                    adjustments: this.adjustments,
+                    version: this.pixelVersion,
+                    canvas: renderAdjusted(this.canvas, this.adjustments)
+                };
+            }
+            base = this.adjustedCache.canvas;
+        }
+        if (!this.mask) return base;
+
+        // The composite canvas is reused, brushing recomposes it on every dab
+        const cache = this.maskedCache || (this.maskedCache = { canvas: createCanvas() });
+        if (cache.base !== base || cache.baseVersion !== this.pixelVersion || cache.maskVersion !== this.maskVersion) {
+            const out = cache.canvas;
+            out.width = base.width;
+            out.height = base.height;
+            const ctx = out.getContext('2d');
+            ctx.drawImage(base, 0, 0);
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(this.mask, 0, 0);
+            Object.assign(cache, { base, baseVersion: this.pixelVersion, maskVersion: this.maskVersion });
+        }
+        return cache.canvas;
+    }
+
+    // --- Máscara ---
+
+    ensureMask() {
+        if (this.mask) return;
+        this.mask = createCanvas();
+        this.mask.width = this.canvas.width;
+        this.mask.height = this.canvas.height;
+        this.maskCtx = this.mask.getContext('2d');
+        this.maskCtx.fillStyle = '#fff';
+        this.maskCtx.fillRect(0, 0, this.mask.width, this.mask.height);
+        // An all-visible baseline, so the first masked step can be undone
+        this.committedMask = createCanvas();
+        this.committedMask.width = this.mask.width;
+        this.committedMask.height = this.mask.height;
+        this.committedMask.getContext('2d').drawImage(this.mask, 0, 0);
+        this.maskVersion++;
+    }
+
+    // Drops the mask: everything visible again
+    clearMask() {
+        if (!this.mask) return;
+        this.maskCtx.fillStyle = '#fff';
+        this.maskCtx.globalCompositeOperation = 'source-over';
+        this.maskCtx.fillRect(0, 0, this.mask.width, this.mask.height);
+        this.markMaskDirty(0, 0, this.mask.width, this.mask.height);
+    }
+
+    markMaskDirty(x, y, w, h) {
+        this.maskVersion++;
+        this.extendDirtyRect(x, y, w, h);
+    }
+
+    // Canvas-pixel coordinates of a document point
+    toLocal(x, y) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        return {
+            x: (dx * cos - dy * sin) / this.scale + this.width / 2,
+            y: (dx * sin + dy * cos) / this.scale + this.height / 2
+        };
+    }
+
+    // Draws the part of originalImage the canvas shows, at canvas size
+    sourceAtCanvasSize() {
+        const out = createCanvas();
+        out.width = this.canvas.width;
+        out.height = this.canvas.height;
+        const r = this.sourceRect;
+        out.getContext('2d').drawImage(this.originalImage, r.x, r.y, r.w, r.h, 0, 0, out.width, out.height);
+        return out;
+    }
+
+    // A stroke accumulates dabs in a buffer and recomposes from the state at stroke start,
+    // so `opacity` caps the whole stroke instead of stacking up where dabs overlap.
+    // mode 'erase' hides through the mask; 'restore' shows it again and repaints pixels from originalImage
+    beginStroke(mode, { hardness = 1, opacity = 1 } = {}) {
+        this.ensureMask();
+        const copy = (source) => {
+            const c = createCanvas();
+            c.width = source.width;
+            c.height = source.height;
+            c.getContext('2d').drawImage(source, 0, 0);
+            return c;
+        };
+        const buffer = createCanvas();
+        buffer.width = this.canvas.width;
+        buffer.height = this.canvas.height;
+        this.stroke = {
+            mode, hardness, opacity, buffer,
+            bufferCtx: buffer.getContext('2d'),
+            maskBase: copy(this.mask),
+            pixelBase: null, source: null, under: null, underCtx: null
+        };
+        if (mode === 'restore') {
+            this.stroke.pixelBase = copy(this.canvas);
+            this.stroke.source = this.sourceAtCanvasSize();
+            this.stroke.under = copy(buffer);
+            this.stroke.underCtx = this.stroke.under.getContext('2d');
+        }
+    }
+
+    // One round brush dab at a document point; `radius` in document px
+    brushDab(x, y, radius) {
+        const stroke = this.stroke;
+        if (!stroke) return;
+        const p = this.toLocal(x, y);
+        const r = Math.max(0.5, radius / this.scale);
+
+        const gradient = stroke.bufferCtx.createRadialGradient(p.x, p.y, r * Math.min(0.99, stroke.hardness), p.x, p.y, r);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        stroke.bufferCtx.fillStyle = gradient;
+        stroke.bufferCtx.beginPath();
+        stroke.bufferCtx.arc(p.x, p.y, r, 0, Math.PI * 2);
+        stroke.bufferCtx.fill();
+
+        // Only the dab's square changes, so recomposing is clipped to it
+        const rect = [p.x - r - 1, p.y - r - 1, r * 2 + 2, r * 2 + 2];
+        const recompose = (ctx, base, op, overlay) => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(...rect);
+            ctx.clip();
+            ctx.globalCompositeOperation = 'copy';
+            ctx.drawImage(base, 0, 0);
+            ctx.globalCompositeOperation = op;
+            ctx.globalAlpha = stroke.opacity;
+            ctx.drawImage(overlay, 0, 0);
+            ctx.restore();
+        };
+
+        recompose(this.maskCtx, stroke.maskBase, stroke.mode === 'erase' ? 'destination-out' : 'source-over', stroke.buffer);
+        if (stroke.mode === 'restore') {
+            // Original pixels under the stroke, over the pixels as they were at stroke start
+            const u = stroke.underCtx;
+            u.save();
+            u.beginPath();
+            u.rect(...rect);
+            u.clip();
+            u.globalCompositeOperation = 'copy';
+            u.drawImage(stroke.source, 0, 0);
+            u.globalCompositeOperation = 'destination-in';
+            u.drawImage(stroke.buffer, 0, 0);
+            u.restore();
+            recompose(this.ctx, stroke.pixelBase, 'source-over', stroke.under);
+            this.markDirty(...rect);
+        }
+        this.markMaskDirty(...rect);
+    }
+
+    endStroke() {
+        this.stroke = null;
+    }
+
+    // A new picture starts fully visible; resizing keeps the mask in step with the canvas
+    resizeMask() {
+        if (!this.mask) return;
+        this.mask.width = this.canvas.width;
+        this.mask.height = this.canvas.height;
+        this.maskCtx.fillStyle = '#fff';
+        this.maskCtx.fillRect(0, 0, this.mask.width, this.mask.height);
+        this.maskVersion++;
+    }
+
+    setAdjustments(values) {
+        this.adjustments = Object.freeze({ ...this.adjustments, ...values });
+    }
+
+    getProps() {
+        return { ...super.serialize(), originalImage: this.originalImage, adjustments: this.adjustments, sourceRect: this.sourceRect };
+    }
+
+    getDefaultName() {
+        return this.placeholder === 'image' ? 'Marcador de imagen' : 'Imagen';
+    }
+
+    // --- Pixel History (dirty-rectangle patches) ---
+
+    markDirty(x, y, w, h) {
+        this.pixelVersion++;
+        this.extendDirtyRect(x, y, w, h);
+    }
+
+    // Mask and pixel edits share one dirty rect, so a step records both in one patch
+    extendDirtyRect(x, y, w, h) {
+        x = Math.max(0, Math.floor(x));
+        y = Math.max(0, Math.floor(y));
+        const right = Math.min(this.canvas.width, Math.ceil(x + w));
+        const bottom = Math.min(this.canvas.height, Math.ceil(y + h));
+        if (right <= x || bottom <= y) return;
+
+        const d = this.dirtyRect;
+        if (!d) {
+            this.dirtyRect = { x, y, right, bottom };
+        } else {
+            d.x = Math.min(d.x, x); d.y = Math.min(d.y, y);
+            d.right = Math.max(d.right, right); d.bottom = Math.max(d.bottom, bottom);
+        }
+    }
+
+    markAllDirty() {
+        this.pixelVersion++;
+        this.dirtyRect = { full: true };
+    }
+
+    resetBaseline() {
+        this.committed.width = this.canvas.width;
+        this.committed.height = this.canvas.height;
+        this.committedCtx.drawImage(this.canvas, 0, 0);
+        if (this.mask) {
+            this.committedMask.width = this.mask.width;
+            this.committedMask.height = this.mask.height;
+            this.committedMask.getContext('2d').drawImage(this.mask, 0, 0);
+        }
+        this.dirtyRect = null;
+        this.pixelVersion++;
+    }
+
+    // Returns { x, y, full, before, after, maskBefore, maskAfter } for the pixels
+    // (and mask, when there is one) changed since the last commit
+    takePixelPatch() {
+        const d = this.dirtyRect;
+        if (!d) return null;
+        this.dirtyRect = null;
+
+        const maskCtx = this.mask ? this.committedMask.getContext('2d') : null;
+        const resized = this.committed.width !== this.canvas.width || this.committed.height !== this.canvas.height;
+        if (d.full || resized) {
+            const patch = {
+                x: 0, y: 0, full: true,
+                before: this.committedCtx.getImageData(0, 0, this.committed.width, this.committed.height),
+                after: this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height),
+                maskBefore: maskCtx ? maskCtx.getImageData(0, 0, this.committedMask.width, this.committedMask.height) : null,
+                maskAfter: maskCtx ? this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height) : null
+            };
+            this.resetBaseline();
+            return patch;
+        }
+
+        const w = d.right - d.x;
+        const h = d.bottom - d.y;
+        const patch = {
+            x: d.x, y: d.y, full: false,
+            before: this.committedCtx.getImageData(d.x, d.y, w, h),
+            after: this.ctx.getImageData(d.x, d.y, w, h),
+            maskBefore: maskCtx ? maskCtx.getImageData(d.x, d.y, w, h) : null,
+            maskAfter: maskCtx ? this.maskCtx.getImageData(d.x, d.y, w, h) : null
+        };
+        this.committedCtx.putImageData(patch.after, d.x, d.y);
+        if (maskCtx) maskCtx.putImageData(patch.maskAfter, d.x, d.y);
+        return patch;
+    }
+
+    applyPixelPatch(patch, side) {
+        const data = patch[side];
+        if (patch.full) {
+            this.canvas.width = this.committed.width = data.width;
+            this.canvas.height = this.committed.height = data.height;
+        }
+        this.ctx.putImageData(data, patch.x, patch.y);
+        this.committedCtx.putImageData(data, patch.x, patch.y);
+
+        const maskData = side === 'before' ? patch.maskBefore : patch.maskAfter;
+        if (maskData) {
+            this.ensureMask();
+            if (patch.full) {
+                this.mask.width = this.committedMask.width = maskData.width;
+                this.mask.height = this.committedMask.height = maskData.height;
+            }
+            this.maskCtx.putImageData(maskData, patch.x, patch.y);
+            this.committedMask.getContext('2d').putImageData(maskData, patch.x, patch.y);
+            this.maskVersion++;
+        } else if (patch.full && this.mask) {
+            // The step predates the mask, which was sized for a different canvas
+            this.mask = this.maskCtx = this.committedMask = null;
+        }
+        this.dirtyRect = null;
+        this.pixelVersion++;
+    }
+
+    serialize() {
+        const base = super.serialize();
+        return {
+            ...base,
+            originalImage: this.originalImage,
+            adjustments: this.adjustments,
+            sourceRect: this.sourceRect,
+            imageData: this.ctx.getImageData(0, 0, this.width, this.height),
+            maskData: this.mask ? this.maskCtx.getImageData(0, 0, this.mask.width, this.mask.height) : null
+        };
+    }
+    
+    // fit 'width' keeps the on-canvas width, 'cover' fills the current frame and crops the overflow
+    replaceImage(newImg, fit = 'width') {
+        this.originalImage = newImg;
+        if (fit === 'cover') {
+            const frameW = this.width * this.scale;
+            const frameH = this.height * this.scale;
+            const ratio = Math.max(frameW / newImg.width, frameH / newImg.height);
+            const sw = Math.max(1, Math.round(frameW / ratio));
+            const sh = Math.max(1, Math.round(frameH / ratio));
+            this.width = this.canvas.width = sw;
+            this.height = this.canvas.height = sh;
+            this.ctx.drawImage(newImg, (newImg.width - sw) / 2, (newImg.height - sh) / 2, sw, sh, 0, 0, sw, sh);
+            this.sourceRect = { x: (newImg.width - sw) / 2, y: (newImg.height - sh) / 2, w: sw, h: sh };
+            this.scale = ratio;
+            this.resizeMask();
+            this.markAllDirty();
+            return;
+        }
+
+        const oldWidth = this.width;
+        this.width = newImg.width;
+        this.height = newImg.height;
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
+        this.ctx.drawImage(newImg, 0, 0);
+        this.sourceRect = { x: 0, y: 0, w: newImg.width, h: newImg.height };
+        this.resizeMask();
+        this.markAllDirty();
+        
+        if (oldWidth > 0) {
+             this.scale = this.scale * (oldWidth / this.width);
+        }
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+        ctx.scale(this.scale, this.scale);
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(this.getRenderCanvas(), -this.width/2, -this.height/2);
+        ctx.restore();
+    }
+
+    // Hides everything outside a document rect through the mask, keeping the pixels and size
+    maskOutside(rect) {
+        this.ensureMask();
+        const m = this.maskCtx;
+        m.save();
+        m.globalCompositeOperation = 'destination-in';
+        m.translate(this.width / 2, this.height / 2);
+        m.scale(1 / this.scale, 1 / this.scale);
+        m.rotate(-this.rotation);
+        m.translate(-this.x, -this.y);
+        m.fillStyle = '#fff';
+        m.fillRect(rect.x, rect.y, rect.w, rect.h);
+        m.restore();
+        this.markMaskDirty(0, 0, this.mask.width, this.mask.height);
+    }
+
+    // Automatic cut-out of the subject inside a document rect, written into the mask.
+    // Returns false when nothing inside the rect stands out from the background
+    removeBackground(rect, { refine = true } = {}) {
+        const corners = [[rect.x, rect.y], [rect.x + rect.w, rect.y], [rect.x, rect.y + rect.h], [rect.x + rect.w, rect.y + rect.h]]
+            .map(([x, y]) => this.toLocal(x, y));
+        const cw = this.canvas.width;
+        const ch = this.canvas.height;
+        const left = Math.max(0, Math.min(...corners.map(c => c.x)));
+        const top = Math.max(0, Math.min(...corners.map(c => c.y)));
+        const right = Math.min(cw, Math.max(...corners.map(c => c.x)));
+        const bottom = Math.min(ch, Math.max(...corners.map(c => c.y)));
+        if (right - left < 2 || bottom - top < 2) return false;
+
+        const scaled = (maxSize) => {
+            const k = Math.min(1, maxSize / Math.max(cw, ch));
+            const out = createCanvas();
+            out.width = Math.max(1, Math.round(cw * k));
+            out.height = Math.max(1, Math.round(ch * k));
+            out.getContext('2d').drawImage(this.canvas, 0, 0, out.width, out.height);
+            return { canvas: out, k };
+        };
+
+        const work = scaled(SEGMENT_MAX_SIZE);
+        const ww = work.canvas.width;
+        const wh = work.canvas.height;
+        const workRect = {
+            x: Math.floor(left * work.k), y: Math.floor(top * work.k),
+            w: Math.ceil((right - left) * work.k), h: Math.ceil((bottom - top) * work.k)
+        };
+        const q = segmentForeground(work.canvas.getContext('2d').getImageData(0, 0, ww, wh).data, ww, wh, workRect);
+        if (!q.some(v => v >= 0.5)) return false;
+
+        // The matte is built at up to 1024px and scaled into the mask by drawImage
+        const fine = scaled(1024);
+        const fw = fine.canvas.width;
+        const fh = fine.canvas.height;
+        let alpha = resampleAlpha(q, ww, wh, fw, fh);
+        if (refine) {
+            const px = fine.canvas.getContext('2d').getImageData(0, 0, fw, fh).data;
+            const guide = new Float32Array(fw * fh);
+            for (let i = 0; i < guide.length; i++) guide[i] = (px[i * 4] * 0.299 + px[i * 4 + 1] * 0.587 + px[i * 4 + 2] * 0.114) / 255;
+            alpha = refineMatte(guide, alpha, fw, fh, Math.max(2, Math.round(Math.max(fw, fh) / 150)));
+        } else {
+            for (let i = 0; i < alpha.length; i++) alpha[i] = alpha[i] >= 0.5 ? 1 : 0;
+        }
+
+        const matte = fine.canvas.getContext('2d').createImageData(fw, fh);
+        for (let i = 0; i < alpha.length; i++) {
+            matte.data[i * 4] = matte.data[i * 4 + 1] = matte.data[i * 4 + 2] = 255;
+            matte.data[i * 4 + 3] = Math.round(alpha[i] * 255);
+        }
+        fine.canvas.getContext('2d').putImageData(matte, 0, 0);
+
+        // Intersects with the current mask, so earlier erasing stays
+        this.ensureMask();
+        this.maskCtx.save();
+        this.maskCtx.globalCompositeOperation = 'destination-in';
+        this.maskCtx.drawImage(fine.canvas, 0, 0, this.mask.width, this.mask.height);
+        this.maskCtx.restore();
+        this.markMaskDirty(0, 0, this.mask.width, this.mask.height);
+        return true;
+    }
+
+    cropOutside(rect) {
+        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        const data = imageData.data;
+        
+        for(let ly = 0; ly < this.height; ly++) {
+            for(let lx = 0; lx < this.width; lx++) {
+                const cx = lx - this.width/2;
+                const cy = ly - this.height/2;
+                
+                const sx = cx * this.scale;
+                const sy = cy * this.scale;
+                
+                const cos = Math.cos(this.rotation);
+                const sin = Math.sin(this.rotation);
+                
+                const gx = (sx * cos - sy * sin) + this.x;
+                const gy = (sx * sin + sy * cos) + this.y;
+                
+                // Check against Global Selection Rect
+                if (gx < rect.x || gx > rect.x + rect.w || gy < rect.y || gy > rect.y + rect.h) {
+                    const idx = (ly * this.width + lx) * 4;
+                    data[idx + 3] = 0; // Transparent
+                }
+            }
+        }
+        
+        this.ctx.putImageData(imageData, 0, 0);
+        this.markAllDirty();
+        this.trim();
+    }
+
+    trim() {
+        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        const data = imageData.data;
+        const w = this.width;
+        const h = this.height;
+
+        let minX = w, minY = h, maxX = 0, maxY = 0;
+        let found = false;
+
+        // Find bounds of non-transparent pixels
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const alpha = data[(y * w + x) * 4 + 3];
+                if (alpha > 0) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                    found = true;
+                }
+            }
+        }
+
+        if (!found) return; // Empty layer
+
+        const trimW = maxX - minX + 1;
+        const trimH = maxY - minY + 1;
+        const trimmedData = this.ctx.getImageData(minX, minY, trimW, trimH);
+
+        // Update Position to visually stay in same place
+        const oldCX = w / 2;
+        const oldCY = h / 2;
+        const newCX = minX + trimW / 2;
+        const newCY = minY + trimH / 2;
+
+        const dx = (newCX - oldCX) * this.scale;
+        const dy = (newCY - oldCY) * this.scale;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+
+        this.x += dx * cos - dy * sin;
+        this.y += dx * sin + dy * cos;
+
+        const r = this.sourceRect;
+        this.sourceRect = {
+            x: r.x + minX * r.w / w, y: r.y + minY * r.h / h,
+            w: trimW * r.w / w, h: trimH * r.h / h
+        };
+
+        // Resize internal canvas
+        this.canvas.width = trimW;
+        this.canvas.height = trimH;
+        this.width = trimW;
+        this.height = trimH;
+        this.ctx.putImageData(trimmedData, 0, 0);
+
+        if (this.mask) {
+            const trimmedMask = this.maskCtx.getImageData(minX, minY, trimW, trimH);
+            this.mask.width = trimW;
+            this.mask.height = trimH;
+            this.maskCtx.putImageData(trimmedMask, 0, 0);
+            this.maskVersion++;
+        }
+    }
+
+    // toMask hides the region through the mask instead of clearing its pixels
+    magicWand(x, y, tolerance, toMask = false) {
+        this._performPixelOperation(x, y, tolerance, toMask ? 'mask' : 'erase');
+    }
+
+    floodFill(x, y, colorHex, tolerance) {
+        const r = parseInt(colorHex.slice(1, 3), 16);
+        const g = parseInt(colorHex.slice(3, 5), 16);
+        const b = parseInt(colorHex.slice(5, 7), 16);
+        this._performPixelOperation(x, y, tolerance, 'fill', {r, g, b});
+    }
+
+    _performPixelOperation(x, y, tolerance, mode, fillColor = null) {
+        const dx = x - this.x;
+        const dy = y - this.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const localX = Math.floor((dx * cos - dy * sin) / this.scale + this.width/2);
+        const localY = Math.floor((dx * sin + dy * cos) / this.scale + this.height/2);
+
+        if(localX < 0 || localX >= this.width || localY < 0 || localY >= this.height) return;
+
+        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        const data = imageData.data;
+        const w = this.width;
+        const h = this.height;
+
+        const targetIdx = (localY * w + localX) * 4;
+        const tr = data[targetIdx], tg = data[targetIdx+1], tb = data[targetIdx+2], ta = data[targetIdx+3];
+
+        if(ta === 0 && mode !== 'fill') return;
+        if(mode === 'fill' && Math.abs(tr-fillColor.r) < 5 && Math.abs(tg-fillColor.g) < 5 && Math.abs(tb-fillColor.b) < 5) return;
+
+        const stack = [[localX, localY]];
+        const seen = new Uint8Array(w * h); 
+        let minX = localX, minY = localY, maxX = localX, maxY = localY;
+        
+        while(stack.length > 0) {
+            const [cx, cy] = stack.pop();
+            const idx = (cy * w + cx) * 4;
+
+            if(seen[cy * w + cx]) continue;
+            
+            const cr = data[idx], cg = data[idx+1], cb = data[idx+2], ca = data[idx+3];
+            const diff = Math.abs(cr - tr) + Math.abs(cg - tg) + Math.abs(cb - tb) + Math.abs(ca - ta);
+            
+            if (diff <= tolerance * 4) {
+                seen[cy * w + cx] = 1;
+                if (cx < minX) minX = cx;
+                if (cx > maxX) maxX = cx;
+                if (cy < minY) minY = cy;
+                if (cy > maxY) maxY = cy;
+                if(mode === 'erase') {
+                    data[idx+3] = 0;
+                } else if (mode === 'fill') {
+                    data[idx] = fillColor.r;
+                    data[idx+1] = fillColor.g;
+                    data[idx+2] = fillColor.b;
+                    data[idx+3] = 255;
+                }
+                if(cx > 0) stack.push([cx-1, cy]);
+                if(cx < w-1) stack.push([cx+1, cy]);
+                if(cy > 0) stack.push([cx, cy-1]);
+                if(cy < h-1) stack.push([cx, cy+1]);
+            }
+        }
+
+        if (mode === 'mask') {
+            this.ensureMask();
+            const maskData = this.maskCtx.getImageData(0, 0, w, h);
+            for (let i = 0; i < seen.length; i++) {
+                if (seen[i]) maskData.data[i * 4 + 3] = 0;
+            }
+            this.maskCtx.putImageData(maskData, 0, 0);
+            this.markMaskDirty(minX, minY, maxX - minX + 1, maxY - minY + 1);
+            return;
+        }
+        this.ctx.putImageData(imageData, 0, 0);
+        this.markDirty(minX, minY, maxX - minX + 1, maxY - minY + 1);
+    }
+}
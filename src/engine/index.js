@@ -0,0 +1,26 @@
+/**
+ * Ecopiensa editor engine: the document model (layers, formats, templates, serialization)
+ * and its renderer, with no DOM or UI code. The editor UI in index.html builds on it.
+ */
+
+export { configureCanvas, createCanvas, loadImageFromURL, getFontSet, canvasToBlob } from './canvas.js';
+export { Layer, BLEND_MODES } from './layer.js';
+export { ImageLayer } from './image-layer.js';
+export { TextLayer, TEXT_STYLE_DEFAULTS, splitGraphemes, stripTextMarkup, parseTextMarkup, hexToRgba } from './text-layer.js';
+export { ShapeLayer, SHAPE_DEFAULTS, SHAPE_NAMES } from './shape-layer.js';
+export { SvgLayer, svgDataURL, normalizeSvg } from './svg-layer.js';
+export { ADJUSTMENT_DEFAULTS, ADJUSTMENT_PRESETS, isNeutralAdjustment, renderAdjusted } from './adjustments.js';
+export { segmentForeground, resampleAlpha, refineMatte } from './segmentation.js';
+export { FORMATS, MAX_SLIDES, PROFILE_CROP, safeZonesFor } from './formats.js';
+export { BUILTIN_TEMPLATES, buildTemplateLayers } from './templates.js';
+export { BG_PHOTO_DEFAULTS, drawCover, freezeGradient, createBackgroundGradient, drawBackground, drawComposition, renderComposition } from './render.js';
+export { PROJECT_VERSION, toDataURL, toImageData, layerFromData, layerToProjectData, diffProps } from './document.js';
+export { BATCH_CROP_DEFAULTS, BATCH_NAME_TOKENS, findVariableSlot, renderSlotPhoto, compositionWithPhoto, renderBatchItem, formatBatchName } from './batch.js';
+export { createZip } from './zip.js';
+export { parseCSV, parseDataFile, compositionForRow } from './data.js';
+export { EXPORT_SCALES, exportSize, renderForExport, encodeExport } from './export.js';
+export { embedMetadata } from './metadata.js';
+export { ANIMATION_PRESETS, ANIMATION_DEFAULTS, KEYFRAME_PROPS, freezeAnimation, isAnimated, layerStateAt, drawLayerAt } from './animation.js';
+export { GifEncoder } from './gif.js';
+export { CAPTION_LIMITS, CAPTION_DEFAULTS, CAPTION_SIDECARS, captionTokens, analyzeCaption, captionForClipboard, fillCaption, captionSidecar } from './caption.js';
+export { PHONE_WIDTH, LEGIBILITY_LIMITS, LEGIBILITY_FIXES, contrastRatio, checkLegibility, applyLegibilityFix } from './legibility.js';
@@ -0,0 +1,105 @@
+/**
+ * Base layer of the document model: transform (center x/y, rotation, uniform scale),
+ * visibility, lock, grouping, blend mode and animation. Shared by every layer type.
+ */
+
+import { ANIMATION_DEFAULTS } from './animation.js';
+
+// Canvas composite operations offered as layer blend modes
+export const BLEND_MODES = {
+    'source-over': 'Normal',
+    multiply: 'Multiplicar',
+    screen: 'Trama',
+    overlay: 'Superponer',
+    darken: 'Oscurecer',
+    lighten: 'Aclarar',
+    'color-dodge': 'Sobreexponer color',
+    'color-burn': 'Subexponer color',
+    'hard-light': 'Luz fuerte',
+    'soft-light': 'Luz suave',
+    difference: 'Diferencia',
+    exclusion: 'Exclusión',
+    hue: 'Tono',
+    saturation: 'Saturación',
+    color: 'Color',
+    luminosity: 'Luminosidad'
+};
+
+export class Layer {
+    constructor(type, id) {
+        this.type = type;
+        this.id = id;
+        this.x = 1080 / 2;
+        this.y = 1080 / 2;
+        this.rotation = 0;
+        this.scale = 1;
+        this.opacity = 1;
+        this.blendMode = 'source-over'; // Key of BLEND_MODES, applied by drawComposition()
+        this.width = 0;
+        this.height = 0;
+        this.selected = false;
+        this.locked = false; // Template brand element: can be selected but not edited
+        this.placeholder = null; // 'image' | 'text': template slot meant to be replaced
+        this.binding = null; // Data column merged into this layer (text or photo), see data.js
+        this.name = null; // User-given name in the layers panel, null = automatic
+        this.visible = true;
+        this.groupId = null; // id of an entry in the document's groups list; members select and move together
+        this.animation = ANIMATION_DEFAULTS; // Timeline settings, see animation.js. Replaced, never mutated
+    }
+
+    getDisplayName() {
+        return this.name || this.getDefaultName();
+    }
+
+    getDefaultName() {
+        return 'Capa';
+    }
+    
+    contains(mx, my) {
+        const dx = mx - this.x;
+        const dy = my - this.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+        
+        // Allow selecting text even if small width
+        const hitW = Math.max(20, this.width * this.scale);
+        const hitH = Math.max(20, this.height * this.scale);
+
+        return Math.abs(localX) < hitW / 2 && 
+               Math.abs(localY) < hitH / 2;
+    }
+
+    // Clone data for History
+    serialize() {
+        return {
+            type: this.type,
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            rotation: this.rotation,
+            scale: this.scale,
+            opacity: this.opacity,
+            blendMode: this.blendMode,
+            width: this.width,
+            height: this.height,
+            locked: this.locked,
+            placeholder: this.placeholder,
+            binding: this.binding,
+            name: this.name,
+            visible: this.visible,
+            groupId: this.groupId,
+            animation: this.animation
+        };
+    }
+
+    // Lightweight snapshot used by the history diff (no pixel data)
+    getProps() {
+        return this.serialize();
+    }
+
+    setProps(props) {
+        Object.assign(this, props);
+    }
+}
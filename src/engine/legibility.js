@@ -0,0 +1,245 @@
+/**
+ * Legibility checker for text layers: WCAG contrast against the pixels behind the text,
+ * size once the post is shown on a phone, the format's text safe zone and how much of
+ * the slide the text covers. Each issue suggests fixes that applyLegibilityFix() makes.
+ */
+
+import { createCanvas } from './canvas.js';
+import { hexToRgb } from './adjustments.js';
+import { renderComposition } from './render.js';
+import { safeZonesFor } from './formats.js';
+import { parseTextMarkup } from './text-layer.js';
+
+// Width in CSS px of a post shown full width on a phone
+export const PHONE_WIDTH = 390;
+
+export const LEGIBILITY_LIMITS = {
+    contrast: 4.5, // WCAG AA for normal text
+    largeContrast: 3, // WCAG AA for large text
+    largeText: 24, // CSS px at phone scale from which text counts as large
+    minText: 12, // CSS px at phone scale below which text is flagged
+    coverage: 0.25 // Share of a slide that text may cover
+};
+
+export const LEGIBILITY_FIXES = {
+    pill: 'Añadir fondo (píldora)',
+    shadow: 'Añadir sombra',
+    stroke: 'Añadir contorno',
+    enlarge: 'Agrandar el texto',
+    'move-inside': 'Mover a la zona segura'
+};
+
+// The background is sampled on a render this long on its longest side
+const SAMPLE_SIZE = 540;
+// Share of the background pixels allowed below the contrast limit
+const SAMPLE_PERCENTILE = 0.1;
+
+const mix = (a, b, t) => [0, 1, 2].map(i => a[i] + (b[i] - a[i]) * t);
+
+// WCAG relative luminance of an sRGB color
+function luminance([r, g, b]) {
+    const lin = (c) => {
+        c /= 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+export function contrastRatio(a, b) {
+    const la = luminance(a);
+    const lb = luminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// Black or white, whichever stands out more against `hex`
+function opposite(hex) {
+    const rgb = hexToRgb(hex);
+    return contrastRatio(rgb, [0, 0, 0]) >= contrastRatio(rgb, [255, 255, 255]) ? '#000000' : '#ffffff';
+}
+
+// Box around the painted lines in the layer's unscaled local coordinates, decorations included
+function textBox(layer) {
+    const ctx = createCanvas().getContext('2d');
+    ctx.font = layer.getFontSpec();
+    const lines = layer.getWrappedLines(ctx).filter(line => line.words.length);
+    if (!lines.length) return null;
+    const pad = layer.getDecorationPadding();
+    const height = lines.length * layer.fontSize * layer.lineHeight;
+    let left = Infinity;
+    let right = -Infinity;
+    lines.forEach(line => {
+        const start = layer.lineStart(line);
+        const width = layer.align === 'justify' && !line.last ? layer.boxWidth : line.width;
+        left = Math.min(left, start);
+        right = Math.max(right, start + width);
+    });
+    return { left: left - pad, right: right + pad, top: -height / 2 - pad, bottom: height / 2 + pad };
+}
+
+// Corners of the box in slide-strip coordinates
+function boxCorners(layer, box) {
+    const cos = Math.cos(layer.rotation);
+    const sin = Math.sin(layer.rotation);
+    return [[box.left, box.top], [box.right, box.top], [box.right, box.bottom], [box.left, box.bottom]]
+        .map(([lx, ly]) => ({
+            x: layer.x + (lx * cos - ly * sin) * layer.scale,
+            y: layer.y + (lx * sin + ly * cos) * layer.scale
+        }));
+}
+
+// Background colors under the rotated box: the slide rendered without the layer, sampled per pixel
+function sampleBackground(composition, layer, box, slide) {
+    const scale = Math.min(1, SAMPLE_SIZE / Math.max(composition.width, composition.height));
+    const canvas = renderComposition({ ...composition, layers: composition.layers.filter(l => l !== layer) }, slide, scale);
+    const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+
+    const corners = boxCorners(layer, box).map(p => ({ x: (p.x - slide * composition.width) * scale, y: p.y * scale }));
+    const x0 = Math.max(0, Math.floor(Math.min(...corners.map(p => p.x))));
+    const x1 = Math.min(width, Math.ceil(Math.max(...corners.map(p => p.x))));
+    const y0 = Math.max(0, Math.floor(Math.min(...corners.map(p => p.y))));
+    const y1 = Math.min(height, Math.ceil(Math.max(...corners.map(p => p.y))));
+    const cos = Math.cos(-layer.rotation);
+    const sin = Math.sin(-layer.rotation);
+    const k = 1 / (scale * layer.scale);
+    const originX = (layer.x - slide * composition.width) * scale;
+    const originY = layer.y * scale;
+
+    const colors = [];
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            // Pixel center back into the layer's local coordinates
+            const dx = (x + 0.5 - originX) * k;
+            const dy = (y + 0.5 - originY) * k;
+            const lx = dx * cos - dy * sin;
+            const ly = dx * sin + dy * cos;
+            if (lx < box.left || lx > box.right || ly < box.top || ly > box.bottom) continue;
+            const i = (y * width + x) * 4;
+            colors.push([data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+    return colors;
+}
+
+// Contrast most of the text reaches: the SAMPLE_PERCENTILE lowest ratio over the background
+// pixels, for the worst of the layer's text colors. A pill, shadow or outline counts as drawn
+function textContrast(layer, background) {
+    const pieces = parseTextMarkup(layer.getRenderText(), layer).filter(p => !p.emoji && p.text.trim());
+    const colors = [...new Set(pieces.map(p => p.color || layer.color))].map(hexToRgb);
+    const pill = layer.background ? hexToRgb(layer.backgroundColor) : null;
+    const shadow = layer.shadowOpacity > 0 && (layer.shadowBlur > 0 || layer.shadowOffsetX || layer.shadowOffsetY)
+        ? hexToRgb(layer.shadowColor) : null;
+    const stroke = layer.strokeWidth >= Math.max(1, layer.fontSize * 0.03) ? hexToRgb(layer.strokeColor) : null;
+    const opacity = Number(layer.opacity);
+
+    let worst = Infinity;
+    colors.forEach(color => {
+        const ratios = background.map(bg => {
+            let behind = pill ? mix(bg, pill, layer.backgroundOpacity) : bg;
+            // A soft shadow tints the background right behind the letters by a bit over half its opacity
+            if (shadow) behind = mix(behind, shadow, layer.shadowOpacity * 0.6);
+            const fill = mix(behind, color, opacity);
+            const edge = stroke ? contrastRatio(mix(behind, stroke, opacity), behind) : 0;
+            return Math.max(contrastRatio(fill, behind), edge);
+        }).sort((a, b) => a - b);
+        if (ratios.length) worst = Math.min(worst, ratios[Math.floor((ratios.length - 1) * SAMPLE_PERCENTILE)]);
+    });
+    return worst;
+}
+
+// Slide holding the layer's center
+const slideOf = (layer, composition) => Math.max(0, Math.min(composition.slideCount - 1, Math.floor(layer.x / composition.width)));
+
+// Issues of the visible text layers of `composition` laid out for `format` (a key of FORMATS):
+// [{ layer, slide, kind: 'contrast' | 'size' | 'safe-zone' | 'coverage', severity: 'error' | 'warning',
+//    message, fixes: [keys of LEGIBILITY_FIXES] }], top of the stack first
+export function checkLegibility(composition, format) {
+    const { width: w, height: h } = composition;
+    const zone = safeZonesFor(format, w, h).text;
+    const phone = PHONE_WIDTH / w;
+    const issues = [];
+    const covered = new Map(); // slide -> [area, largest layer, its area]
+
+    composition.layers.slice().reverse().forEach(layer => {
+        if (layer.type !== 'text' || !layer.visible || !layer.getPlainText().trim()) return;
+        const box = textBox(layer);
+        if (!box) return;
+        const slide = slideOf(layer, composition);
+        const issue = (kind, severity, message, fixes = []) => issues.push({ layer, slide, kind, severity, message, fixes });
+
+        const size = layer.fontSize * layer.scale * phone;
+        const large = size >= LEGIBILITY_LIMITS.largeText;
+        const needed = large ? LEGIBILITY_LIMITS.largeContrast : LEGIBILITY_LIMITS.contrast;
+        const contrast = textContrast(layer, sampleBackground(composition, layer, box, slide));
+        if (contrast < needed) {
+            issue('contrast', contrast < LEGIBILITY_LIMITS.largeContrast ? 'error' : 'warning',
+                `Contraste ${contrast.toFixed(1)}:1 con el fondo; se recomienda al menos ${needed}:1`,
+                ['pill', 'shadow', 'stroke'].filter(fix => !(fix === 'pill' && layer.background)));
+        }
+
+        if (size < LEGIBILITY_LIMITS.minText) {
+            issue('size', 'warning', `Se verá a ${size.toFixed(0)} px en el móvil; mínimo recomendado ${LEGIBILITY_LIMITS.minText} px`, ['enlarge']);
+        }
+
+        const corners = boxCorners(layer, box).map(p => ({ x: p.x - slide * w, y: p.y }));
+        const outside = corners.some(p => p.x < zone.x - 0.5 || p.x > zone.x + zone.w + 0.5 || p.y < zone.y - 0.5 || p.y > zone.y + zone.h + 0.5);
+        if (outside) issue('safe-zone', 'warning', 'Se sale de la zona segura para texto: puede quedar recortado o tapado', ['move-inside']);
+
+        const area = (box.right - box.left) * (box.bottom - box.top) * layer.scale ** 2;
+        const entry = covered.get(slide) || [0, null, 0];
+        covered.set(slide, [entry[0] + area, area > entry[2] ? layer : entry[1], Math.max(area, entry[2])]);
+    });
+
+    covered.forEach(([area, layer], slide) => {
+        const share = area / (w * h);
+        if (share > LEGIBILITY_LIMITS.coverage) {
+            issues.push({
+                layer,
+                slide,
+                kind: 'coverage',
+                severity: 'warning',
+                message: `El texto cubre el ${Math.round(share * 100)} % de la diapositiva ${slide + 1}; acórtalo o reparte el contenido`,
+                fixes: []
+            });
+        }
+    });
+    return issues;
+}
+
+// Applies a fix of LEGIBILITY_FIXES to a text layer (props only, the caller records history)
+export function applyLegibilityFix(layer, fix, composition, format) {
+    const contrasting = opposite(layer.color);
+    if (fix === 'pill') {
+        layer.background = true;
+        layer.backgroundColor = contrasting;
+        layer.backgroundOpacity = 0.8;
+    } else if (fix === 'shadow') {
+        layer.shadowColor = contrasting;
+        layer.shadowOpacity = 0.9;
+        layer.shadowBlur = Math.round(layer.fontSize * 0.3);
+        layer.shadowOffsetX = 0;
+        layer.shadowOffsetY = Math.round(layer.fontSize * 0.05);
+    } else if (fix === 'stroke') {
+        layer.strokeColor = contrasting;
+        layer.strokeWidth = Math.max(2, Math.round(layer.fontSize * 0.06));
+    } else if (fix === 'enlarge') {
+        const phone = PHONE_WIDTH / composition.width;
+        layer.fontSize = Math.ceil(LEGIBILITY_LIMITS.minText / (layer.scale * phone));
+    } else if (fix === 'move-inside') {
+        const box = textBox(layer);
+        if (!box) return;
+        const slide = slideOf(layer, composition);
+        const zone = safeZonesFor(format, composition.width, composition.height).text;
+        const corners = boxCorners(layer, box);
+        const left = slide * composition.width + zone.x;
+        const minX = Math.min(...corners.map(p => p.x));
+        const maxX = Math.max(...corners.map(p => p.x));
+        const minY = Math.min(...corners.map(p => p.y));
+        const maxY = Math.max(...corners.map(p => p.y));
+        // Shift by the overflow on each axis; a box larger than the zone is centered in it
+        const shift = (min, max, start, size) => (max - min > size ? start + size / 2 - (min + max) / 2
+            : min < start ? start - min : max > start + size ? start + size - max : 0);
+        layer.x += shift(minX, maxX, left, zone.w);
+        layer.y += shift(minY, maxY, zone.y, zone.h);
+    }
+    layer.measureDimensions();
+}
@@ -0,0 +1,159 @@
+/**
+ * Embeds author/copyright metadata and an sRGB color tag into encoded images.
+ * Canvas encoders write none of it (and original photos lose their EXIF when drawn),
+ * so exports only carry what is added here: EXIF for JPEG and WebP, iTXt/sRGB chunks for PNG.
+ */
+
+import { crc32 } from './zip.js';
+
+const SOFTWARE = 'Ecopiensa Editor';
+const encoder = new TextEncoder();
+
+// Big-endian TIFF block with IFD0 (Software, Artist, Copyright) and, for sRGB, an Exif IFD
+// holding ColorSpace = 1. This is the payload of a JPEG APP1 or a WebP EXIF chunk
+function buildExif({ author, copyright, srgb }) {
+    const ascii = (text) => [...encoder.encode(text), 0];
+    const ifd0 = [{ tag: 0x0131, type: 2, data: ascii(SOFTWARE) }];
+    if (author) ifd0.push({ tag: 0x013b, type: 2, data: ascii(author) });
+    if (copyright) ifd0.push({ tag: 0x8298, type: 2, data: ascii(copyright) });
+    const exif = srgb ? [{ tag: 0xa001, type: 3, value: 1 }] : [];
+
+    const ifdSize = (count) => 2 + count * 12 + 4;
+    const exifOffset = 8 + ifdSize(ifd0.length + (exif.length ? 1 : 0));
+    if (exif.length) ifd0.push({ tag: 0x8769, type: 4, value: exifOffset });
+    let dataOffset = exifOffset + (exif.length ? ifdSize(exif.length) : 0);
+    const dataSize = [...ifd0, ...exif].reduce((sum, e) => sum + (e.data && e.data.length > 4 ? e.data.length + (e.data.length & 1) : 0), 0);
+
+    const bytes = new Uint8Array(dataOffset + dataSize);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, 0x4d4d); // 'MM'
+    view.setUint16(2, 42);
+    view.setUint32(4, 8);
+
+    const writeIfd = (offset, entries) => {
+        view.setUint16(offset, entries.length);
+        entries.forEach((entry, i) => {
+            const pos = offset + 2 + i * 12;
+            view.setUint16(pos, entry.tag);
+            view.setUint16(pos + 2, entry.type);
+            if (entry.data) {
+                view.setUint32(pos + 4, entry.data.length);
+                if (entry.data.length <= 4) {
+                    bytes.set(entry.data, pos + 8);
+                } else {
+                    view.setUint32(pos + 8, dataOffset);
+                    bytes.set(entry.data, dataOffset);
+                    dataOffset += entry.data.length + (entry.data.length & 1);
+                }
+            } else {
+                view.setUint32(pos + 4, 1);
+                if (entry.type === 3) view.setUint16(pos + 8, entry.value);
+                else view.setUint32(pos + 8, entry.value);
+            }
+        });
+        view.setUint32(offset + 2 + entries.length * 12, 0); // No next IFD
+    };
+    writeIfd(8, ifd0);
+    if (exif.length) writeIfd(exifOffset, exif);
+    return bytes;
+}
+
+function concat(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => { out.set(p, offset); offset += p.length; });
+    return out;
+}
+
+// APP1 Exif segment right after SOI, or after the JFIF APP0 segment when there is one
+function embedJpeg(bytes, metadata) {
+    const tiff = buildExif(metadata);
+    const segment = new Uint8Array(4 + 6 + tiff.length);
+    const view = new DataView(segment.buffer);
+    view.setUint16(0, 0xffe1);
+    view.setUint16(2, segment.length - 2);
+    segment.set(encoder.encode('Exif\0\0'), 4);
+    segment.set(tiff, 10);
+
+    let at = 2;
+    if (bytes[2] === 0xff && bytes[3] === 0xe0) at = 4 + ((bytes[4] << 8) | bytes[5]);
+    return concat([bytes.subarray(0, at), segment, bytes.subarray(at)]);
+}
+
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(encoder.encode(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// iTXt (UTF-8, uncompressed): keyword \0 flag method language \0 translated keyword \0 text
+function pngText(keyword, text) {
+    return pngChunk('iTXt', concat([encoder.encode(keyword), new Uint8Array([0, 0, 0, 0, 0]), encoder.encode(text)]));
+}
+
+// sRGB and text chunks right after IHDR (8-byte signature + 25-byte IHDR chunk)
+function embedPng(bytes, { author, copyright, srgb }) {
+    const chunks = [];
+    if (srgb) chunks.push(pngChunk('sRGB', new Uint8Array([0]))); // Perceptual intent
+    chunks.push(pngText('Software', SOFTWARE));
+    if (author) chunks.push(pngText('Author', author));
+    if (copyright) chunks.push(pngText('Copyright', copyright));
+    return concat([bytes.subarray(0, 33), ...chunks, bytes.subarray(33)]);
+}
+
+function riffChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    chunk.set(encoder.encode(type), 0);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+// Simple WebP files (a lone VP8 or VP8L chunk) become extended ones: a VP8X header chunk
+// flagging EXIF, the image chunk, then the EXIF chunk
+function embedWebp(bytes, metadata) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const type = String.fromCharCode(...bytes.subarray(12, 16));
+    const exif = riffChunk('EXIF', buildExif(metadata));
+    let body;
+    if (type === 'VP8X') {
+        body = bytes.slice(12);
+        body[8] |= 0x08;
+    } else {
+        let width;
+        let height;
+        if (type === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            width = (bits & 0x3fff) + 1;
+            height = ((bits >> 14) & 0x3fff) + 1;
+        } else {
+            width = view.getUint16(26, true) & 0x3fff;
+            height = view.getUint16(28, true) & 0x3fff;
+        }
+        const header = new Uint8Array(10);
+        header[0] = 0x08 | (type === 'VP8L' ? 0x10 : 0); // EXIF, and alpha for lossless
+        [width - 1, height - 1].forEach((value, i) => {
+            header[4 + i * 3] = value & 0xff;
+            header[5 + i * 3] = (value >> 8) & 0xff;
+            header[6 + i * 3] = (value >> 16) & 0xff;
+        });
+        body = concat([riffChunk('VP8X', header), bytes.subarray(12)]);
+    }
+    const out = concat([bytes.subarray(0, 12), body, exif]);
+    new DataView(out.buffer).setUint32(4, out.length - 8, true);
+    return out;
+}
+
+// metadata: { author, copyright, srgb }; other formats are returned unchanged
+export async function embedMetadata(blob, metadata) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let out = bytes;
+    if (blob.type === 'image/jpeg' && bytes[0] === 0xff && bytes[1] === 0xd8) out = embedJpeg(bytes, metadata);
+    else if (blob.type === 'image/png' && bytes[1] === 0x50) out = embedPng(bytes, metadata);
+    else if (blob.type === 'image/webp' && bytes[8] === 0x57) out = embedWebp(bytes, metadata);
+    return out === bytes ? blob : new Blob([out], { type: blob.type });
+}
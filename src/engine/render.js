@@ -0,0 +1,103 @@
+/**
+ * Renders a composition (background + layers) into any 2D context:
+ * a canvas element, an OffscreenCanvas or a Node canvas shim.
+ */
+
+import { createCanvas } from './canvas.js';
+import { drawLayerAt } from './animation.js';
+
+// Background photo framing: zoom >= 1 over cover size, offsets -1..1 pan across the overflow
+export const BG_PHOTO_DEFAULTS = Object.freeze({ blur: 0, dim: 0, zoom: 1, offsetX: 0, offsetY: 0 });
+
+// Draws `img` scaled to cover the rect, clipped to it
+export function drawCover(ctx, img, x, y, w, h, { blur = 0, dim = 0, zoom = 1, offsetX = 0, offsetY = 0 } = {}) {
+    const ratio = Math.max(w / img.width, h / img.height) * zoom;
+    const dw = img.width * ratio;
+    const dh = img.height * ratio;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    if (blur > 0) {
+        // Filter lengths ignore the transform, so scale them like the rest of the slide;
+        // the photo overflows the clip a little so the blur does not fade at the edges
+        const t = ctx.getTransform();
+        ctx.filter = `blur(${blur * Math.hypot(t.a, t.b)}px)`;
+        const pad = blur * 2;
+        ctx.drawImage(img, x + (w - dw) * (1 - offsetX) / 2 - pad, y + (h - dh) * (1 - offsetY) / 2 - pad, dw + pad * 2, dh + pad * 2);
+        ctx.filter = 'none';
+    } else {
+        ctx.drawImage(img, x + (w - dw) * (1 - offsetX) / 2, y + (h - dh) * (1 - offsetY) / 2, dw, dh);
+    }
+    if (dim > 0) {
+        ctx.fillStyle = `rgba(0, 0, 0, ${dim})`;
+        ctx.fillRect(x, y, w, h);
+    }
+    ctx.restore();
+}
+
+// Gradients live in history and are compared by reference, so they are frozen all the way down
+export function freezeGradient({ type, angle, stops }) {
+    return Object.freeze({ type, angle, stops: Object.freeze(stops.map(stop => Object.freeze({ offset: stop.offset, color: stop.color }))) });
+}
+
+// Canvas gradient for { type: 'linear' | 'radial', angle, stops: [{ offset, color }] } over a rect
+export function createBackgroundGradient(ctx, { type, angle, stops }, x, y, w, h) {
+    const cx = x + w / 2;
+    const cy = y + h / 2;
+    let gradient;
+    if (type === 'radial') {
+        gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, Math.hypot(w, h) / 2);
+    } else {
+        const a = angle * Math.PI / 180;
+        const dx = Math.cos(a);
+        const dy = Math.sin(a);
+        const half = Math.abs(dx) * w / 2 + Math.abs(dy) * h / 2;
+        gradient = ctx.createLinearGradient(cx - dx * half, cy - dy * half, cx + dx * half, cy + dy * half);
+    }
+    stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+    return gradient;
+}
+
+// A composition is the renderable part of a document:
+// { width, height, slideCount, panorama, bgColor, bgGradient, bgImage, bgPhoto, duration, layers }
+// with slides side by side (slide i spans x in [i * width, (i + 1) * width]) and Layer instances.
+// `duration` is the clip length in seconds for animated output.
+
+export function drawBackground(ctx, composition, x, y, w, h) {
+    const { bgColor, bgGradient, bgImage, bgPhoto } = composition;
+    ctx.fillStyle = bgGradient ? createBackgroundGradient(ctx, bgGradient, x, y, w, h) : bgColor;
+    ctx.fillRect(x, y, w, h);
+    if (bgImage) drawCover(ctx, bgImage, x, y, w, h, bgPhoto || BG_PHOTO_DEFAULTS);
+}
+
+// Background + visible layers for the whole slide strip, in the context's current transform.
+// With a `time` in seconds the layers are drawn as animated at that moment, else as designed
+export function drawComposition(ctx, composition, time = null) {
+    const { width: w, height: h, slideCount = 1 } = composition;
+
+    // In panorama the gradient and photo span the whole strip
+    if (composition.panorama) {
+        drawBackground(ctx, composition, 0, 0, w * slideCount, h);
+    } else {
+        for (let i = 0; i < slideCount; i++) drawBackground(ctx, composition, i * w, 0, w, h);
+    }
+
+    composition.layers.forEach(layer => {
+        if (!layer.visible) return;
+        ctx.globalCompositeOperation = layer.blendMode;
+        if (time === null) layer.draw(ctx);
+        else drawLayerAt(ctx, layer, time, composition);
+    });
+    ctx.globalCompositeOperation = 'source-over';
+}
+
+// Renders one slide to a new canvas from the canvas backend, `scale` 1 = export size
+export function renderComposition(composition, index = 0, scale = 1, time = null) {
+    const out = createCanvas(Math.round(composition.width * scale), Math.round(composition.height * scale));
+    const ctx = out.getContext('2d');
+    ctx.scale(scale, scale);
+    ctx.translate(-index * composition.width, 0);
+    drawComposition(ctx, composition, time);
+    return out;
+}
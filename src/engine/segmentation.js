@@ -0,0 +1,170 @@
+/**
+ * Local, offline background removal ("Quitar fondo").
+ */
+
+// GrabCut-style cut-out: color histograms for subject and background, seeded by a rectangle
+// (outside = background), refined with contrast-sensitive smoothing. Runs on a downscaled copy.
+
+export const SEGMENT_MAX_SIZE = 256; // Long side of the working copy
+const SEGMENT_BINS = 16; // Histogram bins per channel
+
+// Single-channel box mean with clamped edges, radius r
+function boxMean(src, w, h, r) {
+    const tmp = new Float32Array(src.length);
+    const out = new Float32Array(src.length);
+    const size = r * 2 + 1;
+    for (let y = 0; y < h; y++) {
+        const row = y * w;
+        let sum = 0;
+        for (let i = -r; i <= r; i++) sum += src[row + Math.min(w - 1, Math.max(0, i))];
+        for (let x = 0; x < w; x++) {
+            tmp[row + x] = sum / size;
+            sum += src[row + Math.min(w - 1, x + r + 1)] - src[row + Math.max(0, x - r)];
+        }
+    }
+    for (let x = 0; x < w; x++) {
+        let sum = 0;
+        for (let i = -r; i <= r; i++) sum += tmp[Math.min(h - 1, Math.max(0, i)) * w + x];
+        for (let y = 0; y < h; y++) {
+            out[y * w + x] = sum / size;
+            sum += tmp[Math.min(h - 1, y + r + 1) * w + x] - tmp[Math.max(0, y - r) * w + x];
+        }
+    }
+    return out;
+}
+
+// Foreground probability (0..1) per pixel of RGBA `data`; `rect` { x, y, w, h } must contain the subject.
+// Transparent pixels and everything outside the rect are fixed background
+export function segmentForeground(data, w, h, rect, iterations = 4) {
+    const n = w * h;
+    const fixedBg = new Uint8Array(n);
+    const bin = new Uint16Array(n);
+    const shift = 8 - Math.log2(SEGMENT_BINS);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            const i = y * w + x;
+            const outside = x < rect.x || x >= rect.x + rect.w || y < rect.y || y >= rect.y + rect.h;
+            fixedBg[i] = outside || data[i * 4 + 3] < 128 ? 1 : 0;
+            bin[i] = ((data[i * 4] >> shift) * SEGMENT_BINS + (data[i * 4 + 1] >> shift)) * SEGMENT_BINS + (data[i * 4 + 2] >> shift);
+        }
+    }
+
+    // Contrast-sensitive smoothing weights to the right and bottom neighbours
+    const right = new Float32Array(n);
+    const down = new Float32Array(n);
+    const dist2 = (a, b) => {
+        const dr = data[a * 4] - data[b * 4], dg = data[a * 4 + 1] - data[b * 4 + 1], db = data[a * 4 + 2] - data[b * 4 + 2];
+        return dr * dr + dg * dg + db * db;
+    };
+    let total = 0, count = 0;
+    for (let i = 0; i < n; i++) {
+        if ((i % w) < w - 1) { right[i] = dist2(i, i + 1); total += right[i]; count++; }
+        if (i + w < n) { down[i] = dist2(i, i + w); total += down[i]; count++; }
+    }
+    const beta = count && total ? count / (2 * total) : 0;
+    const gamma = 1.2;
+    for (let i = 0; i < n; i++) {
+        right[i] = (i % w) < w - 1 ? gamma * Math.exp(-beta * right[i]) : 0;
+        down[i] = i + w < n ? gamma * Math.exp(-beta * down[i]) : 0;
+    }
+
+    const q = new Float32Array(n); // P(foreground)
+    for (let i = 0; i < n; i++) q[i] = fixedBg[i] ? 0 : 0.5; // Inside the rect: undecided
+    const bins = SEGMENT_BINS ** 3;
+    const unary = new Float32Array(n); // log P(c | fg) - log P(c | bg)
+
+    for (let iter = 0; iter < iterations; iter++) {
+        // Soft color models from the current estimate; background always includes the fixed area
+        const fg = new Float32Array(bins).fill(0.5);
+        const bg = new Float32Array(bins).fill(0.5);
+        let fgTotal = bins * 0.5, bgTotal = bins * 0.5;
+        for (let i = 0; i < n; i++) {
+            if (data[i * 4 + 3] < 128) continue;
+            fg[bin[i]] += q[i]; fgTotal += q[i];
+            bg[bin[i]] += 1 - q[i]; bgTotal += 1 - q[i];
+        }
+        for (let i = 0; i < n; i++) unary[i] = Math.log(fg[bin[i]] / fgTotal) - Math.log(bg[bin[i]] / bgTotal);
+
+        // Mean-field updates: each pixel leans towards the label of similar-looking neighbours
+        for (let step = 0; step < 5; step++) {
+            for (let i = 0; i < n; i++) {
+                if (fixedBg[i]) continue;
+                let pull = 0;
+                if ((i % w) > 0) pull += right[i - 1] * (2 * q[i - 1] - 1);
+                if ((i % w) < w - 1) pull += right[i] * (2 * q[i + 1] - 1);
+                if (i >= w) pull += down[i - w] * (2 * q[i - w] - 1);
+                if (i + w < n) pull += down[i] * (2 * q[i + w] - 1);
+                q[i] = 1 / (1 + Math.exp(-(unary[i] + pull)));
+            }
+        }
+    }
+
+    // Keep the largest connected blob: stray background specks that matched subject colors go away
+    const component = new Int32Array(n).fill(-1);
+    let best = -1, bestSize = 0;
+    for (let start = 0, id = 0; start < n; start++) {
+        if (q[start] < 0.5 || component[start] !== -1) continue;
+        const stack = [start];
+        component[start] = id;
+        let size = 0;
+        while (stack.length) {
+            const i = stack.pop();
+            size++;
+            const x = i % w;
+            for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, i - w, i + w]) {
+                if (j >= 0 && j < n && component[j] === -1 && q[j] >= 0.5) {
+                    component[j] = id;
+                    stack.push(j);
+                }
+            }
+        }
+        if (size > bestSize) { bestSize = size; best = id; }
+        id++;
+    }
+    for (let i = 0; i < n; i++) {
+        // Soft edge pixels next to the blob keep their probability
+        if (component[i] !== best && q[i] >= 0.5) q[i] = 0;
+    }
+    return q;
+}
+
+// Bilinear resize of a single-channel map
+export function resampleAlpha(src, w, h, nw, nh) {
+    const out = new Float32Array(nw * nh);
+    for (let y = 0; y < nh; y++) {
+        const sy = Math.min(h - 1, Math.max(0, (y + 0.5) * h / nh - 0.5));
+        const y0 = Math.floor(sy), y1 = Math.min(h - 1, y0 + 1), fy = sy - y0;
+        for (let x = 0; x < nw; x++) {
+            const sx = Math.min(w - 1, Math.max(0, (x + 0.5) * w / nw - 0.5));
+            const x0 = Math.floor(sx), x1 = Math.min(w - 1, x0 + 1), fx = sx - x0;
+            const top = src[y0 * w + x0] * (1 - fx) + src[y0 * w + x1] * fx;
+            const bottom = src[y1 * w + x0] * (1 - fx) + src[y1 * w + x1] * fx;
+            out[y * nw + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+    return out;
+}
+
+// Edge-aware refinement (guided filter): the matte follows edges of the luminance `guide`,
+// so hair and leaves get soft transitions instead of the blocky upscaled cut
+export function refineMatte(guide, alpha, w, h, r, eps = 1e-3) {
+    const n = w * h;
+    const gg = new Float32Array(n);
+    const ga = new Float32Array(n);
+    for (let i = 0; i < n; i++) { gg[i] = guide[i] * guide[i]; ga[i] = guide[i] * alpha[i]; }
+    const meanG = boxMean(guide, w, h, r);
+    const meanA = boxMean(alpha, w, h, r);
+    const meanGG = boxMean(gg, w, h, r);
+    const meanGA = boxMean(ga, w, h, r);
+    const a = new Float32Array(n);
+    const b = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        a[i] = (meanGA[i] - meanG[i] * meanA[i]) / (meanGG[i] - meanG[i] * meanG[i] + eps);
+        b[i] = meanA[i] - a[i] * meanG[i];
+    }
+    const meanAc = boxMean(a, w, h, r);
+    const meanBc = boxMean(b, w, h, r);
+    const out = new Float32Array(n);
+    for (let i = 0; i < n; i++) out[i] = Math.min(1, Math.max(0, meanAc[i] * guide[i] + meanBc[i]));
+    return out;
+}
@@ -0,0 +1,120 @@
+/**
+ * Vector shapes: rectangle, ellipse, line, arrow, star and polygon.
+ */
+
+import { Layer } from './layer.js';
+
+// Geometry and paint of a ShapeLayer; flat values so history can diff them
+export const SHAPE_DEFAULTS = {
+    shape: 'rect', // rect, ellipse, line, arrow, star, polygon
+    cornerRadius: 0, // rect only
+    sides: 5, // star points / polygon corners
+    innerRadius: 0.5, // star inner radius relative to the outer one
+    fillEnabled: true,
+    fillColor: '#00ff9d',
+    gradient: false, // linear gradient from fillColor to gradientColor
+    gradientColor: '#0b3d2e',
+    gradientAngle: 90, // degrees, 0 = left to right, 90 = top to bottom
+    strokeColor: '#ffffff',
+    strokeWidth: 0 // outline in px, 0 = none
+};
+
+export const SHAPE_NAMES = { rect: 'Rectángulo', ellipse: 'Elipse', line: 'Línea', arrow: 'Flecha', star: 'Estrella', polygon: 'Polígono' };
+
+// Vector shape drawn from its parameters, so it stays sharp at any scale.
+// width/height are the shape's box; a line runs along the box and is as thick as its height
+export class ShapeLayer extends Layer {
+    constructor(shape, id) {
+        super('shape', id);
+        Object.assign(this, SHAPE_DEFAULTS);
+        this.shape = shape || 'rect';
+        this.width = 400;
+        this.height = shape === 'line' ? 12 : shape === 'arrow' ? 120 : 250;
+    }
+
+    serialize() {
+        const base = super.serialize();
+        const style = {};
+        for (const key in SHAPE_DEFAULTS) style[key] = this[key];
+        return { ...base, ...style };
+    }
+
+    getDefaultName() {
+        return SHAPE_NAMES[this.shape] || 'Forma';
+    }
+
+    tracePath(ctx) {
+        const w = this.width;
+        const h = this.height;
+        ctx.beginPath();
+        if (this.shape === 'ellipse') {
+            ctx.ellipse(0, 0, w / 2, h / 2, 0, 0, Math.PI * 2);
+        } else if (this.shape === 'line') {
+            ctx.moveTo(-w / 2, 0);
+            ctx.lineTo(w / 2, 0);
+        } else if (this.shape === 'arrow') {
+            const shaft = h * 0.36;
+            const head = Math.min(w * 0.5, h * 0.9);
+            ctx.moveTo(-w / 2, -shaft / 2);
+            ctx.lineTo(w / 2 - head, -shaft / 2);
+            ctx.lineTo(w / 2 - head, -h / 2);
+            ctx.lineTo(w / 2, 0);
+            ctx.lineTo(w / 2 - head, h / 2);
+            ctx.lineTo(w / 2 - head, shaft / 2);
+            ctx.lineTo(-w / 2, shaft / 2);
+            ctx.closePath();
+        } else if (this.shape === 'star' || this.shape === 'polygon') {
+            const star = this.shape === 'star';
+            const n = Math.max(3, Math.round(this.sides));
+            const count = star ? n * 2 : n;
+            for (let i = 0; i < count; i++) {
+                const r = star && i % 2 ? this.innerRadius : 1;
+                const angle = -Math.PI / 2 + i * Math.PI * 2 / count;
+                ctx.lineTo(Math.cos(angle) * w / 2 * r, Math.sin(angle) * h / 2 * r);
+            }
+            ctx.closePath();
+        } else {
+            ctx.roundRect(-w / 2, -h / 2, w, h, Math.min(this.cornerRadius, w / 2, h / 2));
+        }
+    }
+
+    getFillStyle(ctx) {
+        if (!this.gradient) return this.fillColor;
+        // Gradient line through the center along the angle, spanning the box
+        const angle = this.gradientAngle * Math.PI / 180;
+        const dx = Math.cos(angle);
+        const dy = Math.sin(angle);
+        const half = Math.abs(dx) * this.width / 2 + Math.abs(dy) * this.height / 2;
+        const gradient = ctx.createLinearGradient(-dx * half, -dy * half, dx * half, dy * half);
+        gradient.addColorStop(0, this.fillColor);
+        gradient.addColorStop(1, this.gradientColor);
+        return gradient;
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+        ctx.scale(this.scale, this.scale);
+        ctx.globalAlpha = this.opacity;
+        this.tracePath(ctx);
+
+        if (this.shape === 'line') {
+            ctx.strokeStyle = this.getFillStyle(ctx);
+            ctx.lineWidth = this.height;
+            ctx.stroke();
+        } else {
+            if (this.fillEnabled) {
+                ctx.fillStyle = this.getFillStyle(ctx);
+                ctx.fill();
+            }
+            if (this.strokeWidth > 0) {
+                ctx.strokeStyle = this.strokeColor;
+                ctx.lineWidth = this.strokeWidth;
+                ctx.lineJoin = 'round';
+                ctx.stroke();
+            }
+        }
+        ctx.restore();
+    }
+}
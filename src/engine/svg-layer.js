@@ -0,0 +1,111 @@
+/**
+ * Imported SVG graphics, rasterized at the scale they are drawn at.
+ */
+
+import { Layer } from './layer.js';
+import { createCanvas, loadImageFromURL } from './canvas.js';
+
+export function svgDataURL(markup) {
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+}
+
+// Intrinsic size of an SVG from its root attributes (`attr(name)` returns the raw value or '')
+function svgSize(attr) {
+    const length = (name) => /%$/.test(attr(name)) ? NaN : parseFloat(attr(name));
+    const viewBox = attr('viewBox').trim().split(/[\s,]+/).map(Number);
+    const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+    let width = length('width');
+    let height = length('height');
+    if (!(width > 0) && !(height > 0)) {
+        width = hasViewBox ? viewBox[2] : 300;
+        height = hasViewBox ? viewBox[3] : 300;
+    } else if (!(width > 0)) {
+        width = hasViewBox ? height * viewBox[2] / viewBox[3] : height;
+    } else if (!(height > 0)) {
+        height = hasViewBox ? width * viewBox[3] / viewBox[2] : width;
+    }
+    return { width, height, hasViewBox };
+}
+
+// Gives the root <svg> explicit pixel width/height (from its viewBox if needed),
+// so it decodes at its intrinsic size instead of the browser's 300x150 default
+export function normalizeSvg(markup) {
+    if (typeof DOMParser === 'undefined') {
+        // Headless: the size is read from the root tag and the markup is kept as is
+        const tag = (markup.match(/<svg\b[^>]*>/i) || [''])[0];
+        if (!tag) throw new Error('El archivo no es un SVG válido.');
+        const { width, height } = svgSize(name => (tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`)) || [])[1] || '');
+        return { markup, width, height };
+    }
+
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (root.nodeName !== 'svg' || doc.querySelector('parsererror')) {
+        throw new Error('El archivo no es un SVG válido.');
+    }
+    const { width, height, hasViewBox } = svgSize(name => root.getAttribute(name) || '');
+    if (!hasViewBox) root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    root.setAttribute('width', width);
+    root.setAttribute('height', height);
+    root.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    return { markup: new XMLSerializer().serializeToString(root), width, height };
+}
+
+// Imported SVG file. It is rasterized on demand at the scale it is drawn at,
+// one cached bitmap per power-of-two zoom step, so exports stay crisp at any size
+export class SvgLayer extends Layer {
+    constructor(markup, id, image = null) {
+        super('svg', id);
+        const svg = normalizeSvg(markup);
+        this.svg = svg.markup;
+        this.width = svg.width;
+        this.height = svg.height;
+        this.image = image;
+        this.rasters = new Map(); // step -> canvas
+        this.failed = false; // The browser could not decode the markup; the layer draws nothing
+        // Never rejects: layers rebuilt on load or undo do not await it. loadSvg() checks `failed`
+        this.ready = image ? Promise.resolve() : loadImageFromURL(svgDataURL(this.svg)).then(img => {
+            this.image = img;
+            this.rasters.clear();
+        }, () => {
+            this.failed = true;
+        });
+    }
+
+    serialize() {
+        return { ...super.serialize(), svg: this.svg, image: this.image };
+    }
+
+    getDefaultName() {
+        return 'Gráfico SVG';
+    }
+
+    getRaster(pixelScale) {
+        const maxStep = 4096 / Math.max(this.width, this.height, 1);
+        const step = Math.min(maxStep, 2 ** Math.ceil(Math.log2(Math.max(pixelScale, 1 / 64))));
+        let raster = this.rasters.get(step);
+        if (!raster) {
+            raster = createCanvas();
+            raster.width = Math.max(1, Math.ceil(this.width * step));
+            raster.height = Math.max(1, Math.ceil(this.height * step));
+            raster.getContext('2d').drawImage(this.image, 0, 0, raster.width, raster.height);
+            // Screen, thumbnails and export each keep their own size
+            if (this.rasters.size >= 4) this.rasters.delete(this.rasters.keys().next().value);
+            this.rasters.set(step, raster);
+        }
+        return raster;
+    }
+
+    draw(ctx) {
+        if (!this.image) return;
+        const t = ctx.getTransform();
+        const raster = this.getRaster(Math.hypot(t.a, t.b) * this.scale);
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+        ctx.scale(this.scale, this.scale);
+        ctx.globalAlpha = this.opacity;
+        ctx.drawImage(raster, -this.width / 2, -this.height / 2, this.width, this.height);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * Built-in templates and the layers they start with.
+ */
+
+import { createCanvas } from './canvas.js';
+import { ImageLayer } from './image-layer.js';
+import { TextLayer, TEXT_STYLE_DEFAULTS } from './text-layer.js';
+
+// Layers are in slide coordinates (center x/y). 'image' placeholders are
+// empty frames of width x height; locked layers are brand elements.
+export const BUILTIN_TEMPLATES = [
+    {
+        id: 'builtin-foto-titular', name: 'Foto con titular', format: 'square', bgColor: '#0f1115',
+        layers: [
+            { placeholder: 'image', x: 540, y: 420, width: 1080, height: 840 },
+            { placeholder: 'text', text: 'Titular de la publicación', x: 540, y: 960, fontFamily: 'Roboto Slab', fontSize: 64, color: '#ffffff', boxWidth: 960, shadowBlur: 12, shadowOffsetY: 3 },
+            { locked: true, text: 'ECOPIENSA', x: 930, y: 60, fontFamily: 'Arial', fontSize: 28, color: '#00ff9d', boxWidth: 260 }
+        ]
+    },
+    {
+        id: 'builtin-frase', name: 'Frase / Cita', format: 'square', bgColor: '#0b3d2e',
+        layers: [
+            { placeholder: 'text', text: '"Escribe aquí la frase que quieres compartir"', x: 540, y: 480, fontFamily: 'Roboto Slab', fontSize: 72, color: '#ffffff', boxWidth: 900 },
+            { placeholder: 'text', text: '— Autor', x: 540, y: 780, fontFamily: 'Arial', fontSize: 36, color: '#00ff9d', boxWidth: 700 },
+            { locked: true, text: 'FUNDACIÓN ECOPIENSA', x: 540, y: 1000, fontFamily: 'Arial', fontSize: 26, color: '#a0a0a0', boxWidth: 600 }
+        ]
+    },
+    {
+        id: 'builtin-evento', name: 'Evento (4:5)', format: 'portrait', bgColor: '#121212',
+        layers: [
+            { placeholder: 'image', x: 540, y: 430, width: 1080, height: 860 },
+            { placeholder: 'text', text: 'Nombre del evento', x: 540, y: 990, fontFamily: 'Roboto Slab', fontSize: 70, color: '#ffffff', boxWidth: 960 },
+            { placeholder: 'text', text: 'Sábado 12 · 10:00 h · Lugar', x: 540, y: 1120, fontFamily: 'Arial', fontSize: 40, color: '#00ff9d', boxWidth: 960 },
+            { locked: true, text: 'ECOPIENSA', x: 540, y: 1280, fontFamily: 'Arial', fontSize: 28, color: '#a0a0a0', boxWidth: 300 }
+        ]
+    },
+    {
+        id: 'builtin-historia', name: 'Historia (9:16)', format: 'story', bgColor: '#0f1115',
+        layers: [
+            { placeholder: 'image', x: 540, y: 960, width: 1080, height: 1920 },
+            { placeholder: 'text', text: 'Tu mensaje aquí', x: 540, y: 1400, fontFamily: 'Roboto Slab', fontSize: 80, color: '#ffffff', boxWidth: 900, background: true, backgroundColor: '#0b3d2e' },
+            { locked: true, text: 'ECOPIENSA', x: 540, y: 320, fontFamily: 'Arial', fontSize: 32, color: '#00ff9d', boxWidth: 300 }
+        ]
+    }
+];
+
+// Empty frame shown by image placeholders until a photo is dropped on them
+export function createPlaceholderCanvas(w, h) {
+    const canvas = createCanvas();
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#2a2a2a';
+    ctx.fillRect(0, 0, w, h);
+    ctx.strokeStyle = '#555';
+    ctx.lineWidth = 6;
+    ctx.setLineDash([24, 16]);
+    ctx.strokeRect(3, 3, w - 6, h - 6);
+    ctx.fillStyle = '#888';
+    ctx.font = `${Math.round(Math.min(w, h) / 18)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Suelta una foto aquí', w / 2, h / 2);
+    return canvas;
+}
+
+export function buildTemplateLayers(def) {
+    return def.layers.map((d, i) => {
+        let layer;
+        if (d.placeholder === 'image') {
+            layer = new ImageLayer(createPlaceholderCanvas(d.width, d.height), Date.now() + i);
+        } else {
+            layer = new TextLayer(d.text, Date.now() + i);
+            layer.fontFamily = d.fontFamily;
+            layer.fontSize = d.fontSize;
+            layer.color = d.color;
+            layer.boxWidth = d.boxWidth;
+            for (const key in TEXT_STYLE_DEFAULTS) if (key in d) layer[key] = d[key];
+            layer.measureDimensions();
+        }
+        layer.x = d.x;
+        layer.y = d.y;
+        layer.locked = !!d.locked;
+        layer.placeholder = d.placeholder || null;
+        return layer;
+    });
+}
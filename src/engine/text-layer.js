@@ -0,0 +1,390 @@
+/**
+ * Text layer: inline markup (**bold**, [#rrggbb]color[/]), hashtag highlighting,
+ * emoji-aware wrapping and the typography/decoration styles.
+ */
+
+import { Layer } from './layer.js';
+import { createCanvas, getFontSet } from './canvas.js';
+
+// Typography and decoration of a TextLayer; flat values so history can diff them
+export const TEXT_STYLE_DEFAULTS = {
+    align: 'center', // left, center, right, justify
+    letterSpacing: 0, // px between characters
+    lineHeight: 1.2, // multiple of fontSize
+    strokeColor: '#000000',
+    strokeWidth: 0, // outline thickness in px, 0 = none
+    shadowColor: '#000000',
+    shadowOpacity: 0.5,
+    shadowBlur: 0,
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    background: false, // rounded "pill" behind each line
+    backgroundColor: '#000000',
+    backgroundOpacity: 1,
+    backgroundPadding: 14,
+    backgroundRadius: 12,
+    highlightTags: true, // auto-color #hashtags and @mentions
+    tagColor: '#00ff9d',
+    autoFit: false, // data merge shrinks fontSize so each row's text fits, see fitText()
+    maxHeight: 400 // px the auto-fitted text may take, decorations excluded
+};
+
+// Inline markup inside TextLayer.text: **negrita** and [#rrggbb]color[/]
+const TEXT_MARKUP = /(\*\*|\[#[0-9a-f]{6}\]|\[\/\])/i;
+// Pieces styled on their own: hashtags/mentions at a word start, flags and emoji sequences
+const TEXT_SPECIAL = /((?<![\p{L}\p{N}_])[#@][\p{L}\p{N}_]+|\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\uFE0F|[\u{1F3FB}-\u{1F3FF}]|\u200D\p{Extended_Pictographic}\uFE0F?)*)/u;
+
+const graphemeSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter('es', { granularity: 'grapheme' }) : null;
+
+// User-perceived characters, so ZWJ emoji and flags are never split apart
+export function splitGraphemes(text) {
+    return graphemeSegmenter ? [...graphemeSegmenter.segment(text)].map(s => s.segment) : [...text];
+}
+
+export function stripTextMarkup(text) {
+    return text.replace(new RegExp(TEXT_MARKUP.source, 'gi'), '');
+}
+
+// Styled pieces { text, bold, color, emoji } of a marked-up string; unclosed tags run to the end
+export function parseTextMarkup(text, { highlightTags, tagColor }) {
+    const pieces = [];
+    const colors = [];
+    let bold = false;
+    text.split(TEXT_MARKUP).forEach(token => {
+        if (token === '**') bold = !bold;
+        else if (token === '[/]') colors.pop();
+        else if (/^\[#[0-9a-f]{6}\]$/i.test(token)) colors.push(token.slice(1, -1));
+        else if (token) {
+            token.split(TEXT_SPECIAL).forEach((part, i) => {
+                if (!part) return;
+                const special = i % 2 === 1;
+                const emoji = special && !/^[#@]/.test(part);
+                const tag = special && !emoji && highlightTags;
+                pieces.push({ text: part, bold, color: colors[colors.length - 1] || (tag ? tagColor : null), emoji });
+            });
+        }
+    });
+    return pieces;
+}
+
+export function hexToRgba(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+export class TextLayer extends Layer {
+    constructor(text, id) {
+        super('text', id);
+        this.text = text || "Texto";
+        this.fontFamily = 'Arial';
+        this.fontSize = 60;
+        this.color = '#ffffff';
+        this.textTransform = 'none'; 
+        this.boxWidth = 500; // Ancho por defecto para el wrapping
+        this.reveal = null; // Graphemes painted, null = all (typewriter animation, never saved)
+        Object.assign(this, TEXT_STYLE_DEFAULTS);
+        this.measureDimensions();
+    }
+
+    serialize() {
+        const base = super.serialize();
+        const style = {};
+        for (const key in TEXT_STYLE_DEFAULTS) style[key] = this[key];
+        return {
+            ...base,
+            text: this.text,
+            fontFamily: this.fontFamily,
+            fontSize: this.fontSize,
+            color: this.color,
+            textTransform: this.textTransform,
+            boxWidth: this.boxWidth,
+            ...style
+        };
+    }
+
+    getRenderText() {
+        let t = this.text || " "; 
+        if (this.textTransform === 'uppercase') return t.toUpperCase();
+        if (this.textTransform === 'lowercase') return t.toLowerCase();
+        return t;
+    }
+
+    // Text without inline markup, as it reads on the canvas
+    getPlainText() {
+        return stripTextMarkup(this.getRenderText());
+    }
+
+    getDefaultName() {
+        const text = stripTextMarkup(this.text || '').replace(/\s+/g, ' ').trim();
+        return text ? text.slice(0, 40) : 'Texto';
+    }
+
+    // Width of a run in the current ctx.font including letter spacing between its characters
+    measureRun(ctx, text) {
+        return ctx.measureText(text).width + this.letterSpacing * Math.max(0, splitGraphemes(text).length - 1);
+    }
+
+    // Width of a word made of styled pieces; stores each piece's width for painting
+    measureWord(ctx, pieces) {
+        let width = this.letterSpacing * (pieces.length - 1);
+        pieces.forEach(piece => {
+            ctx.font = this.getFontSpec(piece.bold);
+            piece.width = this.measureRun(ctx, piece.text);
+            width += piece.width;
+        });
+        return width;
+    }
+
+    getSpaceWidth(ctx) {
+        ctx.font = this.getFontSpec();
+        return ctx.measureText(' ').width + this.letterSpacing * 2;
+    }
+
+    // Paragraphs of words, each word being the styled pieces between two spaces
+    getParagraphs() {
+        const paragraphs = [[]];
+        let word = [];
+        const endWord = () => {
+            if (word.length) paragraphs[paragraphs.length - 1].push(word);
+            word = [];
+        };
+        parseTextMarkup(this.getRenderText(), this).forEach(piece => {
+            piece.text.split(/(\n| )/).forEach(part => {
+                if (part === ' ') endWord();
+                else if (part === '\n') { endWord(); paragraphs.push([]); }
+                else if (part) word.push({ ...piece, text: part });
+            });
+        });
+        endWord();
+        return paragraphs;
+    }
+
+    // Words wider than the box (long links, runs of emoji) are cut between graphemes
+    breakWord(ctx, pieces) {
+        const width = this.measureWord(ctx, pieces);
+        if (width <= this.boxWidth) return [{ pieces, width }];
+
+        const chunks = [];
+        let current = [];
+        pieces.forEach(piece => splitGraphemes(piece.text).forEach(text => {
+            const candidate = current.concat({ ...piece, text });
+            if (current.length && this.measureWord(ctx, candidate) > this.boxWidth) {
+                chunks.push(current);
+                current = [{ ...piece, text }];
+            } else {
+                current = candidate;
+            }
+        }));
+        chunks.push(current);
+        return chunks.map(chunk => ({ pieces: chunk, width: this.measureWord(ctx, chunk) }));
+    }
+
+    // Lines as { words, width, last }, every piece measured with its own font;
+    // `last` marks the final line of a paragraph (never stretched when justifying)
+    getWrappedLines(ctx) {
+        const space = this.getSpaceWidth(ctx);
+        const lines = [];
+        this.getParagraphs().forEach(paragraph => {
+            let line = { words: [], width: 0, last: false };
+            paragraph.forEach(pieces => this.breakWord(ctx, pieces).forEach(word => {
+                const width = line.words.length ? line.width + space + word.width : word.width;
+                if (line.words.length && width >= this.boxWidth) {
+                    lines.push(line);
+                    line = { words: [word], width: word.width, last: false };
+                } else {
+                    line.words.push(word);
+                    line.width = width;
+                }
+            }));
+            line.last = true;
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    // CSS font shorthand; the family is quoted so uploaded font names with digits or symbols work
+    getFontSpec(bold = false) {
+        return `${bold ? 'bold ' : ''}${this.fontSize}px "${this.fontFamily}"`;
+    }
+
+    // Resolves once the font face is loaded and the box has been re-measured with it
+    async loadFont() {
+        const spec = this.getFontSpec();
+        const fonts = getFontSet();
+        try {
+            if (fonts) await Promise.all([spec, this.getFontSpec(true)].map(font => fonts.load(font, this.getPlainText())));
+        } catch (err) {
+            console.warn(`No se pudo cargar la fuente ${spec}`, err);
+        }
+        this.fontRequested = spec;
+        this.measureDimensions();
+    }
+
+    // Extra room around the text box taken by the pill and the outline
+    getDecorationPadding() {
+        return (this.background ? this.backgroundPadding : 0) + this.strokeWidth / 2;
+    }
+
+    measureDimensions() {
+        const ctx = createCanvas().getContext('2d');
+        ctx.font = this.getFontSpec();
+
+        // Metrics taken with a fallback font would be wrong: measure again once it arrives
+        const fonts = getFontSet();
+        if (fonts && !fonts.check(ctx.font) && this.fontRequested !== ctx.font) {
+            this.fontRequested = ctx.font;
+            this.loadFont();
+        }
+
+        const pad = this.getDecorationPadding();
+        this.width = this.boxWidth + pad * 2;
+        
+        // Si el texto es vacio, dar dimensiones minimas
+        if (!this.text || this.text.trim() === '') {
+            this.height = this.fontSize + pad * 2;
+            return;
+        }
+
+        const lines = this.getWrappedLines(ctx);
+        this.height = lines.length * this.fontSize * this.lineHeight + pad * 2;
+    }
+
+    // Shrinks fontSize, never below `minSize`, until no word has to be cut to fit boxWidth
+    // and the lines take at most maxHeight. Starts over from `maxSize` (the designed size)
+    fitText(maxSize = this.fontSize, minSize = 8) {
+        const ctx = createCanvas().getContext('2d');
+        const wordCount = this.getParagraphs().reduce((sum, words) => sum + words.length, 0);
+        const fits = (size) => {
+            this.fontSize = size;
+            const lines = this.getWrappedLines(ctx);
+            const cut = lines.reduce((sum, line) => sum + line.words.length, 0) > wordCount;
+            return !cut && lines.length * size * this.lineHeight <= this.maxHeight;
+        };
+
+        // Binary search over whole pixel sizes
+        let lo = minSize;
+        let hi = Math.max(minSize, Math.floor(maxSize));
+        if (fits(hi)) lo = hi;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (fits(mid)) lo = mid;
+            else hi = mid - 1;
+        }
+        this.fontSize = lo;
+        this.measureDimensions();
+        return lo;
+    }
+
+    // Left edge of a line inside the text box (box centered on 0)
+    lineStart(line) {
+        if (this.align === 'left' || this.align === 'justify') return -this.boxWidth / 2;
+        if (this.align === 'right') return this.boxWidth / 2 - line.width;
+        return -line.width / 2;
+    }
+
+    // Graphemes of the text as painted, a space counting as one; the unit of `reveal`
+    countGraphemes() {
+        return this.getParagraphs().reduce((sum, words) => sum + words.reduce((n, pieces) => n + 1 + pieces.reduce((m, piece) => m + splitGraphemes(piece.text).length, 0), 0), 0);
+    }
+
+    // Paints one line with `fillText` or `strokeText`, piece by piece in each piece's font and color.
+    // Stops after `budget` graphemes and returns what is left of it for the next line
+    paintLine(ctx, line, y, method, budget = Infinity) {
+        let x = this.lineStart(line);
+        const justify = this.align === 'justify' && !line.last && line.words.length > 1;
+        const gap = justify
+            ? (this.boxWidth - line.words.reduce((sum, word) => sum + word.width, 0)) / (line.words.length - 1)
+            : this.getSpaceWidth(ctx);
+
+        line.words.forEach(word => {
+            word.pieces.forEach(piece => {
+                if (budget <= 0) return;
+                let text = piece.text;
+                if (budget !== Infinity) {
+                    const graphemes = splitGraphemes(text);
+                    if (graphemes.length > budget) text = graphemes.slice(0, budget).join('');
+                    budget -= graphemes.length;
+                }
+                // Emoji keep their own colors and are never outlined
+                if (!(piece.emoji && method === 'strokeText')) {
+                    ctx.font = this.getFontSpec(piece.bold);
+                    if (method === 'fillText') ctx.fillStyle = piece.color || this.color;
+                    this.paintRun(ctx, text, x, y, method);
+                }
+                x += piece.width + this.letterSpacing;
+            });
+            x += gap - this.letterSpacing;
+            budget--;
+        });
+        return budget;
+    }
+
+    paintRun(ctx, text, x, y, method) {
+        if (this.letterSpacing === 0) {
+            ctx[method](text, x, y);
+            return;
+        }
+        // Offsets from the measured prefix keep kerning between characters
+        const chars = splitGraphemes(text);
+        chars.forEach((char, i) => {
+            ctx[method](char, x + ctx.measureText(chars.slice(0, i).join('')).width + this.letterSpacing * i, y);
+        });
+    }
+
+    draw(ctx) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.rotation);
+        ctx.scale(this.scale, this.scale);
+        ctx.globalAlpha = this.opacity;
+        ctx.font = this.getFontSpec();
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        
+        const lines = this.getWrappedLines(ctx);
+        const lineHeight = this.fontSize * this.lineHeight;
+        const totalHeight = lines.length * lineHeight;
+        const lineY = (i) => (i * lineHeight) - (totalHeight / 2) + (lineHeight / 2);
+        const hasText = this.text && this.text.trim() !== '';
+
+        // Pills are a line tall plus the padding, so neighbouring lines overlap on purpose and read
+        // as one block; a single path fills the overlap once instead of darkening it
+        if (this.background && hasText) {
+            const pad = this.backgroundPadding;
+            const pillHeight = lineHeight + pad * 2;
+            ctx.beginPath();
+            lines.forEach((line, i) => {
+                if (!line.words.length) return;
+                const width = this.align === 'justify' && !line.last ? this.boxWidth : line.width;
+                const radius = Math.min(this.backgroundRadius, pillHeight / 2);
+                ctx.roundRect(this.lineStart(line) - pad, lineY(i) - pillHeight / 2, width + pad * 2, pillHeight, radius);
+            });
+            ctx.fillStyle = hexToRgba(this.backgroundColor, this.backgroundOpacity);
+            ctx.fill();
+        }
+
+        // The shadow goes on the first pass only, otherwise stroke and fill cast it twice
+        ctx.shadowColor = hexToRgba(this.shadowColor, this.shadowOpacity);
+        ctx.shadowBlur = this.shadowBlur;
+        ctx.shadowOffsetX = this.shadowOffsetX;
+        ctx.shadowOffsetY = this.shadowOffsetY;
+        if (this.strokeWidth > 0) {
+            // Stroke twice as wide under the fill so the outline sits outside the letters
+            ctx.strokeStyle = this.strokeColor;
+            ctx.lineWidth = this.strokeWidth * 2;
+            ctx.lineJoin = 'round';
+            lines.reduce((budget, line, i) => this.paintLine(ctx, line, lineY(i), 'strokeText', budget), this.reveal ?? Infinity);
+            ctx.shadowColor = 'transparent';
+        }
+        lines.reduce((budget, line, i) => this.paintLine(ctx, line, lineY(i), 'fillText', budget), this.reveal ?? Infinity);
+        
+        // Borde de guia si esta seleccionado (y vacio)
+        if(this.selected && !hasText) {
+            ctx.strokeStyle = '#555';
+            ctx.setLineDash([2,2]);
+            ctx.strokeRect(-this.boxWidth/2, -this.fontSize/2, this.boxWidth, this.fontSize);
+        }
+        
+        ctx.restore();
+    }
+}
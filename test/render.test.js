@@ -0,0 +1,64 @@
+/**
+ * Headless render check: the engine draws a composition through a Node canvas shim
+ * (@napi-rs/canvas) and the pixels are read back. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { configureCanvas, renderComposition, TextLayer, ShapeLayer } from '../src/engine/index.js';
+
+configureCanvas({ createCanvas: (width, height) => createCanvas(width, height), loadImage });
+
+const pixel = (canvas, x, y) => [...canvas.getContext('2d').getImageData(x, y, 1, 1).data];
+
+function composition(slideCount = 1) {
+    const shape = new ShapeLayer('rect', 1);
+    shape.fillColor = '#ff0000';
+    shape.x = 300;
+    shape.y = 300;
+
+    const text = new TextLayer('ECOPIENSA', 2);
+    text.color = '#0000ff';
+    text.fontSize = 120;
+    text.boxWidth = 900;
+    text.measureDimensions();
+    text.x = 540;
+    text.y = 800;
+
+    return {
+        width: 1080,
+        height: 1080,
+        slideCount,
+        panorama: false,
+        bgColor: '#ffffff',
+        bgGradient: null,
+        bgImage: null,
+        bgPhoto: null,
+        layers: [shape, text]
+    };
+}
+
+test('renders background, shape and text', () => {
+    const canvas = renderComposition(composition());
+    assert.equal(canvas.width, 1080);
+    assert.equal(canvas.height, 1080);
+    assert.deepEqual(pixel(canvas, 20, 20), [255, 255, 255, 255]);
+    assert.deepEqual(pixel(canvas, 300, 300), [255, 0, 0, 255]);
+
+    // Some pixels in the text's box are blue-ish ink
+    const { data } = canvas.getContext('2d').getImageData(90, 740, 900, 120);
+    let ink = 0;
+    for (let i = 0; i < data.length; i += 4) if (data[i + 2] > 200 && data[i] < 100) ink++;
+    assert.ok(ink > 500, `expected text pixels, found ${ink}`);
+});
+
+test('renders one slide of a carousel at a scale', () => {
+    const comp = composition(2);
+    comp.layers[0].x = 1080 + 300; // Shape on the second slide
+    const first = renderComposition(comp, 0, 0.5);
+    const second = renderComposition(comp, 1, 0.5);
+    assert.equal(first.width, 540);
+    assert.deepEqual(pixel(first, 150, 150), [255, 255, 255, 255]);
+    assert.deepEqual(pixel(second, 150, 150), [255, 0, 0, 255]);
+});